@@ -8,6 +8,13 @@ const { errorHandler, notFound } = require("./middlewares/errorHandler");
 const authRoutes = require("./routes/authRoutes");
 const userRoutes = require("./routes/userRoutes");
 const postRoutes = require("./routes/postRoutes");
+const apiKeyRoutes = require("./routes/apiKeyRoutes");
+const seriesRoutes = require("./routes/seriesRoutes");
+const mediaRoutes = require("./routes/mediaRoutes");
+const commentRoutes = require("./routes/commentRoutes");
+const bookmarkRoutes = require("./routes/bookmarkRoutes");
+const readingListRoutes = require("./routes/readingListRoutes");
+const { storageName, uploadDir } = require("./utils/mediaStorage");
 
 const app = express();
 
@@ -47,6 +54,9 @@ const authLimiter = rateLimit({
 });
 app.use("/api/v1/auth/login", authLimiter);
 app.use("/api/v1/auth/register", authLimiter);
+app.use("/api/v1/auth/forgot-password", authLimiter);
+app.use("/api/v1/auth/reset-password", authLimiter);
+app.use("/api/v1/auth/resend-verification", authLimiter);
 
 // Body parser middleware
 app.use(express.json({ limit: "10mb" }));
@@ -62,10 +72,28 @@ app.get("/health", (req, res) => {
   });
 });
 
+// Uploaded media on local disk, loadable from other origins
+if (storageName() === "local") {
+  app.use(
+    "/uploads",
+    (req, res, next) => {
+      res.set("Cross-Origin-Resource-Policy", "cross-origin");
+      next();
+    },
+    express.static(uploadDir(), { index: false })
+  );
+}
+
 // API routes
 app.use("/api/v1/auth", authRoutes);
 app.use("/api/v1/users", userRoutes);
 app.use("/api/v1/posts", postRoutes);
+app.use("/api/v1/api-keys", apiKeyRoutes);
+app.use("/api/v1/series", seriesRoutes);
+app.use("/api/v1/media", mediaRoutes);
+app.use("/api/v1/comments", commentRoutes);
+app.use("/api/v1/bookmarks", bookmarkRoutes);
+app.use("/api/v1/reading-lists", readingListRoutes);
 
 // Welcome route
 app.get("/", (req, res) => {
@@ -78,6 +106,12 @@ app.get("/", (req, res) => {
       auth: "/api/v1/auth",
       users: "/api/v1/users",
       posts: "/api/v1/posts",
+      apiKeys: "/api/v1/api-keys",
+      series: "/api/v1/series",
+      media: "/api/v1/media",
+      comments: "/api/v1/comments",
+      bookmarks: "/api/v1/bookmarks",
+      readingLists: "/api/v1/reading-lists",
     },
   });
 });
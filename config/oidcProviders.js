@@ -0,0 +1,41 @@
+// OpenID Connect providers are configured through environment variables.
+// OIDC_PROVIDERS lists the enabled provider names; each one reads
+// OIDC_<NAME>_* settings, e.g. for "google":
+//
+//   OIDC_GOOGLE_ISSUER=https://accounts.google.com
+//   OIDC_GOOGLE_CLIENT_ID=...
+//   OIDC_GOOGLE_CLIENT_SECRET=...
+//   OIDC_GOOGLE_REDIRECT_URI=http://localhost:3000/oauth/google/callback
+//
+// Endpoints are discovered from the issuer unless they are all given
+// explicitly (OIDC_<NAME>_AUTHORIZATION_ENDPOINT, _TOKEN_ENDPOINT,
+// _USERINFO_ENDPOINT, _JWKS_URI).
+const getProviderConfig = (name) => {
+  const enabled = (process.env.OIDC_PROVIDERS || "")
+    .split(",")
+    .map((provider) => provider.trim().toLowerCase())
+    .filter(Boolean);
+
+  const key = String(name).toLowerCase();
+  if (!enabled.includes(key)) return null;
+
+  const env = (setting) =>
+    process.env[
+      `OIDC_${key.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_${setting}`
+    ];
+
+  return {
+    name: key,
+    issuer: env("ISSUER"),
+    clientId: env("CLIENT_ID"),
+    clientSecret: env("CLIENT_SECRET"),
+    redirectUri: env("REDIRECT_URI"),
+    scope: env("SCOPE") || "openid email profile",
+    authorizationEndpoint: env("AUTHORIZATION_ENDPOINT"),
+    tokenEndpoint: env("TOKEN_ENDPOINT"),
+    userinfoEndpoint: env("USERINFO_ENDPOINT"),
+    jwksUri: env("JWKS_URI"),
+  };
+};
+
+module.exports = { getProviderConfig };
@@ -0,0 +1,104 @@
+const { ErrorResponse } = require("../middlewares/errorHandler");
+
+// Central role -> permission map. Permissions ending in ":own" apply to
+// resources the user owns, ":any" to everyone's.
+const ROLES = ["user", "author", "editor", "moderator", "admin"];
+
+// What an admin still missing required two-factor authentication may do
+const READER = [
+  "media:upload",
+  "media:use:own",
+  "media:delete:own",
+  "comments:create",
+  "comments:delete:own",
+];
+
+const WRITER = [
+  ...READER,
+  "posts:create",
+  "posts:update:own",
+  "posts:delete:own",
+  "posts:coauthors:own",
+  "series:create",
+  "series:update:own",
+  "series:delete:own",
+];
+
+const PERMISSIONS = {
+  user: WRITER,
+  author: WRITER,
+  editor: [...WRITER, "posts:read:drafts", "posts:update:any", "posts:review"],
+  moderator: [
+    ...WRITER,
+    "comments:delete:any",
+    "comments:moderate",
+    "users:suspend",
+  ],
+  admin: ["*"],
+};
+
+// With REQUIRE_ADMIN_2FA=true an admin must turn on two-factor
+// authentication before using any admin rights
+const needsTwoFactor = (user) =>
+  Boolean(user) &&
+  user.role === "admin" &&
+  process.env.REQUIRE_ADMIN_2FA === "true" &&
+  !user.twoFactorEnabled;
+
+const grants = (granted, permission) =>
+  granted.includes("*") || granted.includes(permission);
+
+// Check whether a role grants a permission
+const roleHasPermission = (role, permission) =>
+  grants(PERMISSIONS[role] || [], permission);
+
+// Check whether a user's role grants a permission; admins still missing
+// two-factor authentication only get a reader's rights
+const hasPermission = (user, permission) => {
+  if (!user) return false;
+
+  return grants(
+    needsTwoFactor(user) ? READER : PERMISSIONS[user.role] || [],
+    permission
+  );
+};
+
+// Check an ":own"/":any" permission pair against a resource owner,
+// e.g. can(req.user, "posts:update", post.author)
+const can = (user, action, ownerId) => {
+  if (hasPermission(user, `${action}:any`)) return true;
+
+  return (
+    Boolean(user && ownerId) &&
+    ownerId.toString() === user.id &&
+    hasPermission(user, `${action}:own`)
+  );
+};
+
+// Check whether a user may ban (or unban) the target from commenting;
+// returns an error to send, or null. Nobody bans themselves, and only
+// admins ban staff who can moderate comments themselves.
+const checkCommentBan = (user, target) => {
+  if (target._id.toString() === user.id) {
+    return new ErrorResponse("Cannot ban your own account", 400);
+  }
+
+  if (
+    roleHasPermission(target.role, "comments:moderate") &&
+    !hasPermission(user, "*")
+  ) {
+    return new ErrorResponse("Not authorized to ban this user", 403);
+  }
+
+  return null;
+};
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  needsTwoFactor,
+  roleHasPermission,
+  hasPermission,
+  can,
+  checkCommentBan,
+};
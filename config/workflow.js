@@ -0,0 +1,90 @@
+const { hasPermission } = require("./permissions");
+const { ErrorResponse } = require("../middlewares/errorHandler");
+
+// Post statuses and the moves allowed between them. With
+// EDITORIAL_WORKFLOW=true authors submit posts for review and only
+// reviewers (editors/admins) can publish; otherwise authors publish
+// their own posts.
+const STATUSES = [
+  "draft",
+  "in_review",
+  "changes_requested",
+  "scheduled",
+  "published",
+  "archived",
+];
+
+// Statuses that only exist in the editorial workflow
+const REVIEW_STATUSES = ["in_review", "changes_requested"];
+
+// from -> to -> who may make the move. Reviewers may also make any
+// "author" move on posts they can edit.
+const WORKFLOW_TRANSITIONS = {
+  draft: {
+    in_review: "author",
+    archived: "author",
+    scheduled: "reviewer",
+    published: "reviewer",
+  },
+  in_review: {
+    draft: "author",
+    changes_requested: "reviewer",
+    scheduled: "reviewer",
+    published: "reviewer",
+  },
+  changes_requested: {
+    in_review: "author",
+    draft: "author",
+    archived: "author",
+  },
+  scheduled: {
+    draft: "author",
+    published: "reviewer",
+  },
+  published: {
+    draft: "author",
+    archived: "author",
+  },
+  archived: {
+    draft: "author",
+    published: "reviewer",
+  },
+};
+
+const isWorkflowEnabled = () => process.env.EDITORIAL_WORKFLOW === "true";
+
+// Error for a status change the user may not make, or null when it is
+// allowed. A new post starts from "draft".
+const checkTransition = (from, to, user) => {
+  if (from === to) return null;
+
+  if (!isWorkflowEnabled()) {
+    return REVIEW_STATUSES.includes(to)
+      ? new ErrorResponse(
+          `Status ${to} is only used with the editorial workflow`,
+          400
+        )
+      : null;
+  }
+
+  const allowed = (WORKFLOW_TRANSITIONS[from] || {})[to];
+  if (!allowed) {
+    return new ErrorResponse(`A post cannot move from ${from} to ${to}`, 400);
+  }
+  if (allowed === "reviewer" && !hasPermission(user, "posts:review")) {
+    return new ErrorResponse(
+      `Only editors can move a post from ${from} to ${to}`,
+      403
+    );
+  }
+
+  return null;
+};
+
+module.exports = {
+  STATUSES,
+  REVIEW_STATUSES,
+  WORKFLOW_TRANSITIONS,
+  isWorkflowEnabled,
+  checkTransition,
+};
@@ -0,0 +1,119 @@
+const crypto = require("crypto");
+const { validationResult } = require("express-validator");
+const ApiKey = require("../models/ApiKey");
+const { hashToken } = require("../utils/authTokens");
+const { ErrorResponse } = require("../middlewares/errorHandler");
+
+// @desc    Create API key
+// @route   POST /api/v1/api-keys
+// @access  Private
+const createApiKey = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { name, scopes, expiresInDays } = req.body;
+
+    const key = `bk_${crypto.randomBytes(32).toString("hex")}`;
+
+    const apiKey = await ApiKey.create({
+      user: req.user.id,
+      name,
+      prefix: key.slice(0, 11),
+      keyHash: hashToken(key),
+      scopes: [...new Set(scopes)],
+      ...(expiresInDays && {
+        expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+      }),
+    });
+
+    res.status(201).json({
+      success: true,
+      message:
+        "API key created successfully. Copy it now, it will not be shown again",
+      data: {
+        apiKey: {
+          id: apiKey._id,
+          name: apiKey.name,
+          prefix: apiKey.prefix,
+          scopes: apiKey.scopes,
+          expiresAt: apiKey.expiresAt,
+          createdAt: apiKey.createdAt,
+        },
+        key,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get my API keys
+// @route   GET /api/v1/api-keys
+// @access  Private
+const getApiKeys = async (req, res, next) => {
+  try {
+    // Build query
+    let query = { user: req.user.id };
+
+    // Revoked keys are hidden unless asked for
+    if (req.query.includeRevoked !== "true") {
+      query.revokedAt = null;
+    }
+
+    const apiKeys = await ApiKey.find(query).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: apiKeys.length,
+      data: {
+        apiKeys,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke API key
+// @route   DELETE /api/v1/api-keys/:id
+// @access  Private
+const revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+    });
+
+    if (!apiKey) {
+      return next(new ErrorResponse("API key not found", 404));
+    }
+
+    if (apiKey.revokedAt) {
+      return next(new ErrorResponse("API key is already revoked", 400));
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+
+    res.status(200).json({
+      success: true,
+      message: "API key revoked successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey,
+};
@@ -1,8 +1,37 @@
+const crypto = require("crypto");
 const { validationResult } = require("express-validator");
 const User = require("../models/User");
-const generateToken = require("../utils/generateToken");
+const {
+  issueAuthTokens,
+  generateChallengeToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserTokens,
+} = require("../utils/authTokens");
+const { sendEmail } = require("../utils/mailer");
+const {
+  isLocked,
+  recordLoginAttempt,
+  registerFailedLogin,
+  resetFailedLogins,
+} = require("../utils/loginSecurity");
 const { ErrorResponse } = require("../middlewares/errorHandler");
 
+// Email a verification link for the user's current address
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const clientUrl = process.env.CLIENT_URL || "http://localhost:3000";
+  const verifyUrl = `${clientUrl}/verify-email?token=${verificationToken}`;
+
+  await sendEmail({
+    to: user.email,
+    subject: "Verify your email",
+    text: `Please confirm your email address by opening the link below:\n\n${verifyUrl}`,
+  });
+};
+
 // @desc    Register user
 // @route   POST /api/v1/auth/register
 // @access  Public
@@ -35,8 +64,15 @@ const register = async (req, res, next) => {
       password,
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Registration succeeds even if the email fails; the user can resend it
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      console.error("Verification email error:", error.message);
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueAuthTokens(user._id, req);
 
     res.status(201).json({
       success: true,
@@ -47,8 +83,10 @@ const register = async (req, res, next) => {
           name: user.name,
           email: user.email,
           role: user.role,
+          emailVerified: user.emailVerified,
         },
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -76,22 +114,52 @@ const login = async (req, res, next) => {
     // Check if user exists and get password
     const user = await User.findOne({ email }).select("+password");
     if (!user) {
+      await recordLoginAttempt(req, { email, outcome: "unknown_user" });
       return next(new ErrorResponse("Invalid credentials", 401));
     }
 
+    // Check if account is locked after too many failed attempts
+    if (isLocked(user)) {
+      await recordLoginAttempt(req, { user, outcome: "locked" });
+      return next(
+        new ErrorResponse(
+          "Account is temporarily locked due to too many failed login attempts, please try again later",
+          423
+        )
+      );
+    }
+
     // Check if user is active
     if (!user.isActive) {
+      await recordLoginAttempt(req, { user, outcome: "deactivated" });
       return next(new ErrorResponse("Account is deactivated", 401));
     }
 
     // Check password
     const isMatch = await user.matchPassword(password);
     if (!isMatch) {
+      await recordLoginAttempt(req, { user, outcome: "invalid_password" });
+      await registerFailedLogin(user);
       return next(new ErrorResponse("Invalid credentials", 401));
     }
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Second step required: hand out a challenge instead of tokens
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        message: "Two-factor authentication required",
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user._id),
+        },
+      });
+    }
+
+    await recordLoginAttempt(req, { user, outcome: "success" });
+    await resetFailedLogins(user);
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueAuthTokens(user._id, req);
 
     res.status(200).json({
       success: true,
@@ -102,8 +170,10 @@ const login = async (req, res, next) => {
           name: user.name,
           email: user.email,
           role: user.role,
+          emailVerified: user.emailVerified,
         },
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -140,13 +210,29 @@ const updateProfile = async (req, res, next) => {
     if (name) fieldsToUpdate.name = name;
     if (email) fieldsToUpdate.email = email;
     if (bio) fieldsToUpdate.bio = bio;
-    if (avatar) fieldsToUpdate.avatar = avatar;
+    // An avatar given as a URL replaces any uploaded one
+    if (avatar) {
+      fieldsToUpdate.avatar = avatar;
+      fieldsToUpdate.$unset = { avatarMedia: 1 };
+    }
+
+    // A new address has to be verified again
+    const emailChanged = email && email.toLowerCase() !== req.user.email;
+    if (emailChanged) fieldsToUpdate.emailVerified = false;
 
     const user = await User.findByIdAndUpdate(req.user.id, fieldsToUpdate, {
       new: true,
       runValidators: true,
     });
 
+    if (emailChanged) {
+      try {
+        await sendVerificationEmail(user);
+      } catch (error) {
+        console.error("Verification email error:", error.message);
+      }
+    }
+
     res.status(200).json({
       success: true,
       message: "Profile updated successfully",
@@ -164,7 +250,7 @@ const updateProfile = async (req, res, next) => {
 // @access  Private
 const changePassword = async (req, res, next) => {
   try {
-    const { currentPassword, newPassword } = req.body;
+    const { currentPassword, newPassword, revokeOtherSessions } = req.body;
 
     // Get user with password
     const user = await User.findById(req.user.id).select("+password");
@@ -179,9 +265,250 @@ const changePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
+    // Optionally sign out every other device
+    let revokedSessions = 0;
+    if (revokeOtherSessions === true) {
+      revokedSessions = await revokeUserTokens(user._id, {
+        except: req.sessionId,
+        reason: "password_change",
+      });
+    }
+
     res.status(200).json({
       success: true,
       message: "Password changed successfully",
+      data: {
+        revokedSessions,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Refresh access token
+// @route   POST /api/v1/auth/refresh
+// @access  Public
+const refresh = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const tokens = await rotateRefreshToken(req.body.refreshToken, req.ip);
+
+    const user = await User.findById(tokens.userId);
+    if (!user || !user.isActive) {
+      return next(new ErrorResponse("Not authorized", 401));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Token refreshed successfully",
+      data: {
+        token: tokens.token,
+        refreshToken: tokens.refreshToken,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Logout user
+// @route   POST /api/v1/auth/logout
+// @access  Public
+const logout = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    await revokeRefreshToken(req.body.refreshToken);
+
+    res.status(200).json({
+      success: true,
+      message: "Logged out successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Request a password reset email
+// @route   POST /api/v1/auth/forgot-password
+// @access  Public
+const forgotPassword = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    // Same response whether or not the account exists
+    const message =
+      "If an account exists for this email, a password reset link has been sent";
+
+    const user = await User.findOne({ email: req.body.email });
+    if (!user || !user.isActive) {
+      return res.status(200).json({ success: true, message });
+    }
+
+    const resetToken = user.getResetPasswordToken();
+    await user.save({ validateBeforeSave: false });
+
+    const clientUrl = process.env.CLIENT_URL || "http://localhost:3000";
+    const resetUrl = `${clientUrl}/reset-password?token=${resetToken}`;
+
+    try {
+      await sendEmail({
+        to: user.email,
+        subject: "Password reset",
+        text: `You requested a password reset. Use the link below to choose a new password:\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+      });
+    } catch (error) {
+      user.passwordResetToken = undefined;
+      user.passwordResetExpire = undefined;
+      await user.save({ validateBeforeSave: false });
+
+      return next(new ErrorResponse("Email could not be sent", 500));
+    }
+
+    res.status(200).json({ success: true, message });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reset password with emailed token
+// @route   POST /api/v1/auth/reset-password
+// @access  Public
+const resetPassword = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const passwordResetToken = crypto
+      .createHash("sha256")
+      .update(req.body.token)
+      .digest("hex");
+
+    const user = await User.findOne({
+      passwordResetToken,
+      passwordResetExpire: { $gt: Date.now() },
+    });
+
+    if (!user) {
+      return next(new ErrorResponse("Invalid or expired reset token", 400));
+    }
+
+    // Set new password and consume the token
+    user.password = req.body.password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpire = undefined;
+    await user.save();
+
+    // Sign out everywhere the old password was used
+    await revokeUserTokens(user._id, { reason: "password_change" });
+
+    res.status(200).json({
+      success: true,
+      message: "Password reset successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Verify email address
+// @route   POST /api/v1/auth/verify-email
+// @access  Public
+const verifyEmail = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const emailVerificationToken = crypto
+      .createHash("sha256")
+      .update(req.body.token)
+      .digest("hex");
+
+    const user = await User.findOne({
+      emailVerificationToken,
+      emailVerificationExpire: { $gt: Date.now() },
+    });
+
+    if (!user) {
+      return next(
+        new ErrorResponse("Invalid or expired verification token", 400)
+      );
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationToken = undefined;
+    user.emailVerificationExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: "Email verified successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Resend verification email
+// @route   POST /api/v1/auth/resend-verification
+// @access  Private
+const resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.emailVerified) {
+      return next(new ErrorResponse("Email is already verified", 400));
+    }
+
+    try {
+      await sendVerificationEmail(user);
+    } catch (error) {
+      return next(new ErrorResponse("Email could not be sent", 500));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Verification email sent",
     });
   } catch (error) {
     next(error);
@@ -194,4 +521,10 @@ module.exports = {
   getMe,
   updateProfile,
   changePassword,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
 };
@@ -0,0 +1,420 @@
+const { validationResult } = require("express-validator");
+const Bookmark = require("../models/Bookmark");
+const ReadingList = require("../models/ReadingList");
+const Post = require("../models/Post");
+const { ErrorResponse } = require("../middlewares/errorHandler");
+
+// Only published posts can be saved
+const findPublishedPost = async (postId) => {
+  const post = await Post.findById(postId).select("status");
+
+  if (!post || post.status !== "published") {
+    throw new ErrorResponse("Post not found", 404);
+  }
+
+  return post;
+};
+
+// Load a reading list the current user may read
+const findVisibleList = async (req) => {
+  const list = await ReadingList.findById(req.params.id).populate(
+    "owner",
+    "name avatar"
+  );
+
+  if (!list || !list.isVisibleTo(req.user)) {
+    throw new ErrorResponse("Reading list not found", 404);
+  }
+
+  return list;
+};
+
+// Load a reading list the current user owns
+const findOwnList = async (req) => {
+  const list = await ReadingList.findById(req.params.id);
+
+  if (!list || (!list.isPublic && !list.owner.equals(req.user.id))) {
+    throw new ErrorResponse("Reading list not found", 404);
+  }
+
+  if (!list.owner.equals(req.user.id)) {
+    throw new ErrorResponse("Not authorized to change this reading list", 403);
+  }
+
+  return list;
+};
+
+// A name is used once per user
+const checkListName = async (req, name, excludeId) => {
+  const taken = await ReadingList.exists({
+    _id: { $ne: excludeId },
+    owner: req.user.id,
+    name,
+  });
+
+  if (taken) {
+    throw new ErrorResponse(
+      "You already have a reading list with this name",
+      400
+    );
+  }
+};
+
+// A page of saved posts, newest first. Deleted posts lose their
+// bookmarks; unpublished ones stay saved but are left out while they
+// are not published.
+const findSavedPosts = async (req, query) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 10;
+  const startIndex = (page - 1) * limit;
+
+  const saved = await Bookmark.distinct("post", query);
+  const published = await Post.distinct("_id", {
+    _id: { $in: saved },
+    status: "published",
+  });
+  const visible = { ...query, post: { $in: published } };
+
+  const total = await Bookmark.countDocuments(visible);
+  const bookmarks = await Bookmark.find(visible)
+    .select("post note createdAt")
+    .populate({
+      path: "post",
+      select: "-contentHtml -toc",
+      populate: { path: "author", select: "name avatar" },
+    })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .skip(startIndex);
+
+  // Pagination info
+  const pagination = {};
+  if (startIndex + limit < total) {
+    pagination.next = {
+      page: page + 1,
+      limit,
+    };
+  }
+  if (startIndex > 0) {
+    pagination.prev = {
+      page: page - 1,
+      limit,
+    };
+  }
+
+  return { bookmarks, total, pagination };
+};
+
+// Save a post with an optional note, or update the note if it is saved
+const savePost = async (req, listId) => {
+  const post = await findPublishedPost(req.body.postId);
+
+  const update = {};
+  if (req.body.note !== undefined) update.note = req.body.note;
+
+  return Bookmark.findOneAndUpdate(
+    { user: req.user.id, list: listId, post: post._id },
+    update,
+    { new: true, upsert: true, runValidators: true }
+  );
+};
+
+// @desc    Get my bookmarked posts
+// @route   GET /api/v1/bookmarks
+// @access  Private
+const getBookmarks = async (req, res, next) => {
+  try {
+    const { bookmarks, total, pagination } = await findSavedPosts(req, {
+      user: req.user.id,
+      list: null,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: bookmarks.length,
+      total,
+      pagination,
+      data: {
+        bookmarks,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Bookmark a post, or update its note
+// @route   POST /api/v1/bookmarks
+// @access  Private
+const addBookmark = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const bookmark = await savePost(req, null);
+
+    res.status(200).json({
+      success: true,
+      message: "Post bookmarked",
+      data: {
+        bookmark,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a bookmark
+// @route   DELETE /api/v1/bookmarks/:postId
+// @access  Private
+const removeBookmark = async (req, res, next) => {
+  try {
+    const bookmark = await Bookmark.findOneAndDelete({
+      user: req.user.id,
+      list: null,
+      post: req.params.postId,
+    });
+
+    if (!bookmark) {
+      return next(new ErrorResponse("Bookmark not found", 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Bookmark removed",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get my reading lists, or a user's public ones
+// @route   GET /api/v1/reading-lists?owner=<userId>
+// @access  Public (own lists need a token)
+const getReadingLists = async (req, res, next) => {
+  try {
+    const owner = req.query.owner || (req.user && req.user.id);
+
+    if (!owner) {
+      return next(new ErrorResponse("Not authorized", 401));
+    }
+
+    const query = { owner };
+    if (!req.user || owner !== req.user.id) {
+      query.isPublic = true;
+    }
+
+    const lists = await ReadingList.find(query)
+      .populate("owner", "name avatar")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: lists.length,
+      data: {
+        lists,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a reading list with its posts
+// @route   GET /api/v1/reading-lists/:id
+// @access  Public for public lists, otherwise Owner
+const getReadingList = async (req, res, next) => {
+  try {
+    const list = await findVisibleList(req);
+
+    const { bookmarks, total, pagination } = await findSavedPosts(req, {
+      list: list._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      count: bookmarks.length,
+      total,
+      pagination,
+      data: {
+        list,
+        entries: bookmarks,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a reading list
+// @route   POST /api/v1/reading-lists
+// @access  Private
+const createReadingList = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { name, description, isPublic } = req.body;
+
+    await checkListName(req, name);
+
+    const list = await ReadingList.create({
+      name,
+      description,
+      isPublic,
+      owner: req.user.id,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Reading list created successfully",
+      data: {
+        list,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a reading list
+// @route   PUT /api/v1/reading-lists/:id
+// @access  Private (Owner)
+const updateReadingList = async (req, res, next) => {
+  try {
+    const list = await findOwnList(req);
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { name, description, isPublic } = req.body;
+
+    if (name !== undefined) {
+      await checkListName(req, name, list._id);
+      list.name = name;
+    }
+    if (description !== undefined) list.description = description;
+    if (isPublic !== undefined) list.isPublic = isPublic;
+    await list.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Reading list updated successfully",
+      data: {
+        list,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a reading list and its entries
+// @route   DELETE /api/v1/reading-lists/:id
+// @access  Private (Owner)
+const deleteReadingList = async (req, res, next) => {
+  try {
+    const list = await findOwnList(req);
+
+    await Bookmark.deleteMany({ list: list._id });
+    await list.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Reading list deleted successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add a post to a reading list, or update its note
+// @route   POST /api/v1/reading-lists/:id/posts
+// @access  Private (Owner)
+const addListPost = async (req, res, next) => {
+  try {
+    const list = await findOwnList(req);
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const entry = await savePost(req, list._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Post added to reading list",
+      data: {
+        entry,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a post from a reading list
+// @route   DELETE /api/v1/reading-lists/:id/posts/:postId
+// @access  Private (Owner)
+const removeListPost = async (req, res, next) => {
+  try {
+    const list = await findOwnList(req);
+
+    const entry = await Bookmark.findOneAndDelete({
+      list: list._id,
+      post: req.params.postId,
+    });
+
+    if (!entry) {
+      return next(new ErrorResponse("Post is not in this reading list", 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Post removed from reading list",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getBookmarks,
+  addBookmark,
+  removeBookmark,
+  getReadingLists,
+  getReadingList,
+  createReadingList,
+  updateReadingList,
+  deleteReadingList,
+  addListPost,
+  removeListPost,
+};
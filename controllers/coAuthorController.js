@@ -0,0 +1,235 @@
+const { validationResult } = require("express-validator");
+const Post = require("../models/Post");
+const User = require("../models/User");
+const { can } = require("../config/permissions");
+const { ErrorResponse } = require("../middlewares/errorHandler");
+
+const findCoAuthor = (post, userId) =>
+  post.coAuthors.find((entry) => entry.user.toString() === String(userId));
+
+// @desc    Invite a co-author
+// @route   POST /api/v1/posts/:id/coauthors
+// @access  Private (Owner/Admin)
+const inviteCoAuthor = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { userId, role } = req.body;
+
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return next(new ErrorResponse("Post not found", 404));
+    }
+
+    if (!can(req.user, "posts:coauthors", post.author)) {
+      return next(
+        new ErrorResponse(
+          "Not authorized to manage co-authors of this post",
+          403
+        )
+      );
+    }
+
+    if (post.author.toString() === userId) {
+      return next(new ErrorResponse("The owner cannot be a co-author", 400));
+    }
+
+    if (findCoAuthor(post, userId)) {
+      return next(new ErrorResponse("User is already a co-author", 400));
+    }
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      return next(new ErrorResponse("User not found", 404));
+    }
+
+    post.coAuthors.push({
+      user: user._id,
+      role: role || "editor",
+      invitedBy: req.user.id,
+    });
+    await post.save();
+    await post.populate("coAuthors.user", "name avatar");
+
+    res.status(201).json({
+      success: true,
+      message: "Co-author invited successfully",
+      data: {
+        coAuthors: post.coAuthors,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change a co-author's role
+// @route   PUT /api/v1/posts/:id/coauthors/:userId
+// @access  Private (Owner/Admin)
+const updateCoAuthor = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return next(new ErrorResponse("Post not found", 404));
+    }
+
+    if (!can(req.user, "posts:coauthors", post.author)) {
+      return next(
+        new ErrorResponse(
+          "Not authorized to manage co-authors of this post",
+          403
+        )
+      );
+    }
+
+    const coAuthor = findCoAuthor(post, req.params.userId);
+    if (!coAuthor) {
+      return next(new ErrorResponse("Co-author not found", 404));
+    }
+
+    coAuthor.role = req.body.role;
+    await post.save();
+    await post.populate("coAuthors.user", "name avatar");
+
+    res.status(200).json({
+      success: true,
+      message: "Co-author updated successfully",
+      data: {
+        coAuthors: post.coAuthors,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a co-author (or leave / decline as the co-author)
+// @route   DELETE /api/v1/posts/:id/coauthors/:userId
+// @access  Private (Owner/Admin/the co-author)
+const removeCoAuthor = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return next(new ErrorResponse("Post not found", 404));
+    }
+
+    if (
+      req.params.userId !== req.user.id &&
+      !can(req.user, "posts:coauthors", post.author)
+    ) {
+      return next(
+        new ErrorResponse(
+          "Not authorized to manage co-authors of this post",
+          403
+        )
+      );
+    }
+
+    const coAuthor = findCoAuthor(post, req.params.userId);
+    if (!coAuthor) {
+      return next(new ErrorResponse("Co-author not found", 404));
+    }
+
+    post.coAuthors = post.coAuthors.filter((entry) => entry !== coAuthor);
+    await post.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Co-author removed successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Accept a co-author invitation
+// @route   POST /api/v1/posts/:id/coauthors/accept
+// @access  Private (Invited user)
+const acceptCoAuthorInvite = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id);
+
+    const coAuthor = post && findCoAuthor(post, req.user.id);
+    if (!coAuthor || coAuthor.status !== "pending") {
+      return next(new ErrorResponse("Invitation not found", 404));
+    }
+
+    coAuthor.status = "accepted";
+    await post.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Invitation accepted",
+      data: {
+        role: coAuthor.role,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get my pending co-author invitations
+// @route   GET /api/v1/posts/user/coauthor-invites
+// @access  Private
+const getCoAuthorInvites = async (req, res, next) => {
+  try {
+    const posts = await Post.find({
+      coAuthors: { $elemMatch: { user: req.user.id, status: "pending" } },
+    })
+      .populate("author", "name avatar")
+      .select("title slug status author coAuthors");
+
+    res.status(200).json({
+      success: true,
+      count: posts.length,
+      data: {
+        invites: posts.map((post) => {
+          const coAuthor = findCoAuthor(post, req.user.id);
+          return {
+            post: {
+              id: post._id,
+              title: post.title,
+              slug: post.slug,
+              status: post.status,
+              author: post.author,
+            },
+            role: coAuthor.role,
+            invitedAt: coAuthor.invitedAt,
+          };
+        }),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  inviteCoAuthor,
+  updateCoAuthor,
+  removeCoAuthor,
+  acceptCoAuthorInvite,
+  getCoAuthorInvites,
+};
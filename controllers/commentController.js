@@ -0,0 +1,506 @@
+const { validationResult } = require("express-validator");
+const Comment = require("../models/Comment");
+const Post = require("../models/Post");
+const Reaction = require("../models/Reaction");
+const { scoreComment } = require("../utils/spamScore");
+const { withViewerState } = require("../utils/viewerState");
+const { can, hasPermission } = require("../config/permissions");
+const { ErrorResponse } = require("../middlewares/errorHandler");
+
+// Deepest reply level allowed; top-level comments are level 1
+const maxDepth = () => parseInt(process.env.COMMENT_MAX_DEPTH, 10) || 3;
+
+const COMMENT_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  replies: { replyCount: -1, createdAt: -1 },
+  reactions: { reactionCount: -1, createdAt: -1 },
+};
+
+// Load a post the current user may read
+const findVisiblePost = async (req) => {
+  const post = await Post.findById(req.params.id).select(
+    "author coAuthors status commentsClosed holdComments"
+  );
+
+  if (!post || !post.isVisibleTo(req.user)) {
+    throw new ErrorResponse("Post not found", 404);
+  }
+
+  return post;
+};
+
+// @desc    Get comments of a post, or replies to a comment
+// @route   GET /api/v1/posts/:id/comments?parent=<commentId>
+// @access  Public
+const getComments = async (req, res, next) => {
+  try {
+    const post = await findVisiblePost(req);
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const query = { post: post._id, parent: req.query.parent || null };
+
+    // Readers see approved comments and their own; moderators see all
+    if (!hasPermission(req.user, "comments:moderate")) {
+      query.$or = [{ status: "approved" }];
+      if (req.user) query.$or.push({ user: req.user.id });
+    }
+    const sortOptions = COMMENT_SORTS[req.query.sort] || COMMENT_SORTS.newest;
+
+    const total = await Comment.countDocuments(query);
+    const comments = await Comment.find(query)
+      .populate("user", "name avatar")
+      .sort(sortOptions)
+      .limit(limit)
+      .skip(startIndex);
+
+    // Pagination info
+    const pagination = {};
+    if (startIndex + limit < total) {
+      pagination.next = {
+        page: page + 1,
+        limit,
+      };
+    }
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit,
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: comments.length,
+      total,
+      pagination,
+      data: {
+        comments: await withViewerState(comments, req.user),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add comment to post, or reply to a comment
+// @route   POST /api/v1/posts/:id/comments
+// @access  Private
+const addComment = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const post = await findVisiblePost(req);
+
+    if (post.commentsClosed) {
+      return next(new ErrorResponse("Comments are closed on this post", 403));
+    }
+
+    if (req.user.commentBanned) {
+      return next(
+        new ErrorResponse("You have been banned from commenting", 403)
+      );
+    }
+
+    let parent = null;
+    if (req.body.parentId) {
+      parent = await Comment.findOne({
+        _id: req.body.parentId,
+        post: post._id,
+      });
+
+      if (!parent || parent.isDeleted || parent.status !== "approved") {
+        return next(new ErrorResponse("Parent comment not found", 404));
+      }
+
+      if (parent.depth + 1 >= maxDepth()) {
+        return next(
+          new ErrorResponse(
+            `Replies cannot be nested more than ${maxDepth()} levels deep`,
+            400
+          )
+        );
+      }
+    }
+
+    // The post's own authors and moderators skip the spam check
+    let spam = { score: 0, reasons: [], status: "approved" };
+    if (
+      !post.isContributor(req.user.id) &&
+      !hasPermission(req.user, "comments:moderate")
+    ) {
+      spam = await scoreComment({ text: req.body.text, user: req.user });
+      if (post.holdComments && spam.status === "approved") {
+        spam.status = "pending";
+      }
+    }
+
+    const comment = await Comment.create({
+      post: post._id,
+      user: req.user.id,
+      text: req.body.text,
+      parent: parent ? parent._id : null,
+      depth: parent ? parent.depth + 1 : 0,
+      status: spam.status,
+      spamScore: spam.score,
+      spamReasons: spam.reasons,
+    });
+
+    // Counters are updated in place instead of rewriting the post
+    if (comment.status === "approved") {
+      await Comment.adjustCounts(comment, 1);
+    }
+
+    await comment.populate("user", "name avatar");
+
+    res.status(201).json({
+      success: true,
+      message:
+        comment.status === "approved"
+          ? "Comment added successfully"
+          : "Comment submitted for moderation",
+      data: {
+        comment,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Edit own comment
+// @route   PUT /api/v1/posts/:id/comments/:commentId
+// @access  Private (Owner)
+const updateComment = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const post = await findVisiblePost(req);
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      post: post._id,
+    }).select("+edits");
+
+    if (!comment || comment.isDeleted) {
+      return next(new ErrorResponse("Comment not found", 404));
+    }
+
+    if (comment.user.toString() !== req.user.id) {
+      return next(
+        new ErrorResponse("Not authorized to edit this comment", 403)
+      );
+    }
+
+    if (post.commentsClosed) {
+      return next(new ErrorResponse("Comments are closed on this post", 403));
+    }
+
+    if (req.user.commentBanned) {
+      return next(
+        new ErrorResponse("You have been banned from commenting", 403)
+      );
+    }
+
+    // COMMENT_EDIT_WINDOW_MINUTES=0 (the default) allows edits at any time
+    const editWindow =
+      parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES, 10) || 0;
+    if (
+      editWindow > 0 &&
+      Date.now() - comment.createdAt > editWindow * 60 * 1000
+    ) {
+      return next(
+        new ErrorResponse(
+          `Comments can only be edited within ${editWindow} minutes of posting`,
+          403
+        )
+      );
+    }
+
+    if (req.body.text !== comment.text) {
+      comment.editedAt = new Date();
+      comment.edits.push({ text: comment.text, editedAt: comment.editedAt });
+      comment.text = req.body.text;
+
+      // Edited text goes through the spam check again, but an edit never
+      // releases a held comment
+      if (
+        comment.status === "approved" &&
+        !post.isContributor(req.user.id) &&
+        !hasPermission(req.user, "comments:moderate")
+      ) {
+        const spam = await scoreComment({ text: comment.text, user: req.user });
+        if (spam.status !== "approved") {
+          comment.status = spam.status;
+          comment.spamScore = spam.score;
+          comment.spamReasons = spam.reasons;
+          await Comment.adjustCounts(comment, -1);
+        }
+      }
+
+      await comment.save();
+    }
+
+    await comment.populate("user", "name avatar");
+
+    // Earlier versions are for moderators only
+    const updated = comment.toJSON();
+    delete updated.edits;
+
+    res.status(200).json({
+      success: true,
+      message:
+        comment.status === "approved"
+          ? "Comment updated successfully"
+          : "Comment submitted for moderation",
+      data: {
+        comment: updated,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a comment's earlier versions
+// @route   GET /api/v1/posts/:id/comments/:commentId/edits
+// @access  Private (Moderator/Admin)
+const getCommentEdits = async (req, res, next) => {
+  try {
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      post: req.params.id,
+    }).select("text editedAt edits createdAt");
+
+    if (!comment) {
+      return next(new ErrorResponse("Comment not found", 404));
+    }
+
+    res.status(200).json({
+      success: true,
+      count: comment.edits.length,
+      data: {
+        text: comment.text,
+        createdAt: comment.createdAt,
+        editedAt: comment.editedAt,
+        edits: comment.edits,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete comment
+// @route   DELETE /api/v1/posts/:id/comments/:commentId
+// @access  Private
+const deleteComment = async (req, res, next) => {
+  try {
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      post: req.params.id,
+    });
+
+    if (!comment || comment.isDeleted) {
+      return next(new ErrorResponse("Comment not found", 404));
+    }
+
+    // Check if user is comment owner or may moderate comments
+    if (!can(req.user, "comments:delete", comment.user)) {
+      return next(
+        new ErrorResponse("Not authorized to delete this comment", 403)
+      );
+    }
+
+    if (comment.status === "approved") {
+      await Comment.adjustCounts(comment, -1);
+    }
+
+    // Reactions go with the text
+    await Reaction.deleteMany({ target: comment._id });
+
+    if (await Comment.exists({ parent: comment._id })) {
+      // Keep a placeholder so the replies stay in their thread
+      comment.isDeleted = true;
+      comment.text = undefined;
+      Reaction.types.forEach((type) => {
+        comment.reactionCounts[type] = 0;
+      });
+      comment.reactionCount = 0;
+      await comment.save();
+    } else {
+      await comment.deleteOne();
+
+      // Placeholders left without replies go too
+      let parentId = comment.parent;
+      while (parentId) {
+        const parent = await Comment.findById(parentId);
+        if (
+          !parent ||
+          !parent.isDeleted ||
+          (await Comment.exists({ parent: parent._id }))
+        ) {
+          break;
+        }
+
+        await parent.deleteOne();
+        parentId = parent.parent;
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Comment deleted successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Report a comment
+// @route   POST /api/v1/posts/:id/comments/:commentId/report
+// @access  Private
+const reportComment = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      post: req.params.id,
+    }).select("user isDeleted");
+
+    if (!comment || comment.isDeleted) {
+      return next(new ErrorResponse("Comment not found", 404));
+    }
+
+    if (comment.user.toString() === req.user.id) {
+      return next(new ErrorResponse("You cannot report your own comment", 400));
+    }
+
+    // One report per reader; the condition makes this safe against races
+    const reported = await Comment.findOneAndUpdate(
+      { _id: comment._id, "reports.user": { $ne: req.user.id } },
+      {
+        $push: {
+          reports: {
+            user: req.user.id,
+            reason: req.body.reason,
+            details: req.body.details,
+          },
+        },
+        $inc: { reportCount: 1 },
+      },
+      { new: true }
+    );
+
+    if (!reported) {
+      return next(
+        new ErrorResponse("You have already reported this comment", 400)
+      );
+    }
+
+    // Enough reports take a comment down until a moderator looks at it
+    const threshold = parseInt(process.env.COMMENT_REPORT_THRESHOLD, 10) || 3;
+    if (reported.reportCount >= threshold) {
+      const held = await Comment.updateOne(
+        { _id: reported._id, status: "approved" },
+        { status: "pending" }
+      );
+      if (held.modifiedCount > 0) {
+        await Comment.adjustCounts(reported, -1);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Comment reported, thank you",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Close or hold comments on a post
+// @route   PUT /api/v1/posts/:id/comment-settings
+// @access  Private (Owner/Co-editor/Editor/Moderator/Admin)
+const updateCommentSettings = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return next(new ErrorResponse("Post not found", 404));
+    }
+
+    if (
+      !hasPermission(req.user, "comments:moderate") &&
+      !can(req.user, "posts:update", post.author) &&
+      post.getCoAuthorRole(req.user.id) !== "editor"
+    ) {
+      return next(
+        new ErrorResponse("Not authorized to change comment settings", 403)
+      );
+    }
+
+    const { closed, hold } = req.body;
+    if (closed !== undefined) post.commentsClosed = closed;
+    if (hold !== undefined) post.holdComments = hold;
+    await post.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Comment settings updated successfully",
+      data: {
+        commentsClosed: post.commentsClosed,
+        holdComments: post.holdComments,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getComments,
+  addComment,
+  updateComment,
+  getCommentEdits,
+  deleteComment,
+  reportComment,
+  updateCommentSettings,
+};
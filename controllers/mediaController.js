@@ -0,0 +1,299 @@
+const { validationResult } = require("express-validator");
+const Media = require("../models/Media");
+const Post = require("../models/Post");
+const User = require("../models/User");
+const { getStorage, storageName } = require("../utils/mediaStorage");
+const { processImage } = require("../utils/imageProcessing");
+const { can } = require("../config/permissions");
+const { ErrorResponse } = require("../middlewares/errorHandler");
+
+// Load a media item the current user may use or delete
+const findOwnMedia = async (req, id, action) => {
+  const media = await Media.findById(id);
+
+  if (!media) {
+    throw new ErrorResponse("Media not found", 404);
+  }
+
+  if (!can(req.user, `media:${action}`, media.owner)) {
+    throw new ErrorResponse(`Not authorized to ${action} this media`, 403);
+  }
+
+  return media;
+};
+
+// Drop references to a media item from posts and profiles
+const detachMedia = async (media) => {
+  await Post.updateMany(
+    { featuredMedia: media._id },
+    { $set: { featuredImage: "" }, $unset: { featuredMedia: 1 } }
+  );
+  await User.updateMany(
+    { avatarMedia: media._id },
+    { $set: { avatar: "" }, $unset: { avatarMedia: 1 } }
+  );
+};
+
+// @desc    Upload an image
+// @route   POST /api/v1/media
+// @access  Private
+const uploadMedia = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { original, variants } = await processImage(req.file.buffer);
+
+    const media = new Media({
+      owner: req.user.id,
+      storage: storageName(),
+      originalName: req.file.originalname,
+      alt: req.body.alt,
+    });
+
+    const storage = getStorage(media.storage);
+    const store = async (file) => {
+      const key = `${req.user.id}/${media._id}/${file.name}.${file.ext}`;
+      const url = await storage.save(key, file.buffer, file.contentType);
+
+      return {
+        name: file.name,
+        key,
+        url,
+        contentType: file.contentType,
+        width: file.width,
+        height: file.height,
+        size: file.size,
+      };
+    };
+
+    try {
+      media.original = await store(original);
+      for (const variant of variants) {
+        media.variants.push(await store(variant));
+      }
+      await media.save();
+    } catch (error) {
+      // Don't leave orphaned files behind
+      await media.removeFiles().catch(() => {});
+      throw error;
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Media uploaded successfully",
+      data: {
+        media,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get my media
+// @route   GET /api/v1/media
+// @access  Private
+const getMyMedia = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const query = { owner: req.user.id };
+
+    const total = await Media.countDocuments(query);
+    const media = await Media.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(startIndex);
+
+    res.status(200).json({
+      success: true,
+      count: media.length,
+      total,
+      data: {
+        media,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single media item
+// @route   GET /api/v1/media/:id
+// @access  Private (Owner/Admin)
+const getMedia = async (req, res, next) => {
+  try {
+    const media = await findOwnMedia(req, req.params.id, "use");
+
+    res.status(200).json({
+      success: true,
+      data: {
+        media,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update media alt text
+// @route   PUT /api/v1/media/:id
+// @access  Private (Owner/Admin)
+const updateMedia = async (req, res, next) => {
+  try {
+    const media = await findOwnMedia(req, req.params.id, "use");
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    if (req.body.alt !== undefined) media.alt = req.body.alt;
+    await media.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Media updated successfully",
+      data: {
+        media,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete media and its files
+// @route   DELETE /api/v1/media/:id
+// @access  Private (Owner/Admin)
+const deleteMedia = async (req, res, next) => {
+  try {
+    const media = await findOwnMedia(req, req.params.id, "delete");
+
+    await detachMedia(media);
+    await media.deleteOne();
+    await media.removeFiles();
+
+    res.status(200).json({
+      success: true,
+      message: "Media deleted successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Set or clear a post's featured image from uploaded media
+// @route   PUT /api/v1/posts/:id/featured-image
+// @access  Private (Owner/Co-editor/Editor/Admin)
+const setFeaturedImage = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return next(new ErrorResponse("Post not found", 404));
+    }
+
+    if (
+      !can(req.user, "posts:update", post.author) &&
+      post.getCoAuthorRole(req.user.id) !== "editor"
+    ) {
+      return next(new ErrorResponse("Not authorized to update this post", 403));
+    }
+
+    if (req.body.mediaId) {
+      const media = await findOwnMedia(req, req.body.mediaId, "use");
+      post.featuredMedia = media._id;
+      post.featuredImage = media.urlFor("large");
+    } else {
+      post.featuredMedia = undefined;
+      post.featuredImage = "";
+    }
+    await post.save();
+    await post.populate("featuredMedia");
+
+    res.status(200).json({
+      success: true,
+      message: "Featured image updated successfully",
+      data: {
+        featuredImage: post.featuredImage,
+        featuredMedia: post.featuredMedia,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Set or clear my avatar from uploaded media
+// @route   PUT /api/v1/auth/avatar
+// @access  Private
+const setAvatar = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    let update = { avatar: "", $unset: { avatarMedia: 1 } };
+
+    if (req.body.mediaId) {
+      const media = await findOwnMedia(req, req.body.mediaId, "use");
+      update = { avatar: media.urlFor("thumbnail"), avatarMedia: media._id };
+    }
+
+    const user = await User.findByIdAndUpdate(req.user.id, update, {
+      new: true,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Avatar updated successfully",
+      data: {
+        user,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  uploadMedia,
+  getMyMedia,
+  getMedia,
+  updateMedia,
+  deleteMedia,
+  setFeaturedImage,
+  setAvatar,
+};
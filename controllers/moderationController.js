@@ -0,0 +1,188 @@
+const { validationResult } = require("express-validator");
+const Comment = require("../models/Comment");
+const User = require("../models/User");
+const { checkCommentBan } = require("../config/permissions");
+const { ErrorResponse } = require("../middlewares/errorHandler");
+
+// Status each moderation action moves a comment to
+const MODERATION_ACTIONS = {
+  approve: "approved",
+  reject: "rejected",
+  spam: "spam",
+  ban: "rejected",
+};
+
+// Apply one moderation action to a comment; returns its new status
+const applyModeration = async (req, comment, action) => {
+  if (comment.isDeleted) {
+    throw new ErrorResponse("Comment has been deleted", 400);
+  }
+
+  // Bans follow the same rules as PUT /users/:id/comment-ban
+  if (action === "ban") {
+    const author = await User.findById(comment.user).select("role");
+    if (!author) {
+      throw new ErrorResponse("User not found", 404);
+    }
+
+    const banError = checkCommentBan(req.user, author);
+    if (banError) {
+      throw banError;
+    }
+  }
+
+  const previous = comment.status;
+  comment.status = MODERATION_ACTIONS[action];
+  comment.moderatedBy = req.user.id;
+  comment.moderatedAt = new Date();
+
+  // An approved comment starts over with a clean report record
+  if (action === "approve") {
+    comment.reports = [];
+    comment.reportCount = 0;
+  }
+
+  await comment.save();
+
+  if (previous !== "approved" && comment.status === "approved") {
+    await Comment.adjustCounts(comment, 1);
+  } else if (previous === "approved" && comment.status !== "approved") {
+    await Comment.adjustCounts(comment, -1);
+  }
+
+  if (action === "ban") {
+    await User.updateOne({ _id: comment.user }, { commentBanned: true });
+    await Comment.rejectPendingFrom(comment.user, req.user.id);
+  }
+
+  return comment.status;
+};
+
+// @desc    Get comments waiting for moderation
+// @route   GET /api/v1/comments/queue?status=pending|spam|rejected&reported=true
+// @access  Private (Moderator/Admin)
+const getModerationQueue = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const query = { isDeleted: false };
+    if (req.query.reported === "true") {
+      query.reportCount = { $gt: 0 };
+    } else {
+      query.status = Comment.statuses.includes(req.query.status)
+        ? req.query.status
+        : "pending";
+    }
+
+    const total = await Comment.countDocuments(query);
+    const comments = await Comment.find(query)
+      .select("+spamScore +spamReasons +reports +edits")
+      .populate("user", "name email avatar commentBanned")
+      .populate("post", "title slug")
+      .populate("reports.user", "name")
+      .sort(
+        req.query.reported === "true"
+          ? { reportCount: -1, createdAt: 1 }
+          : { createdAt: 1 }
+      )
+      .limit(limit)
+      .skip(startIndex);
+
+    // Pagination info
+    const pagination = {};
+    if (startIndex + limit < total) {
+      pagination.next = {
+        page: page + 1,
+        limit,
+      };
+    }
+    if (startIndex > 0) {
+      pagination.prev = {
+        page: page - 1,
+        limit,
+      };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: comments.length,
+      total,
+      pagination,
+      data: {
+        comments,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve, reject or mark comments as spam, or ban their authors
+// @route   POST /api/v1/comments/moderate
+// @access  Private (Moderator/Admin)
+const moderateComments = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { action } = req.body;
+    const targets = [...new Set(req.body.ids)];
+
+    const comments = await Comment.find({ _id: { $in: targets } }).select(
+      "+reports"
+    );
+    const byId = new Map(
+      comments.map((comment) => [comment._id.toString(), comment])
+    );
+
+    // One result per comment; a failure never stops the others
+    const results = [];
+    for (const id of targets) {
+      const comment = byId.get(id);
+
+      if (!comment) {
+        results.push({ id, success: false, error: "Comment not found" });
+        continue;
+      }
+
+      try {
+        const status = await applyModeration(req, comment, action);
+        results.push({ id, success: true, status });
+      } catch (error) {
+        results.push({ id, success: false, error: error.message });
+      }
+    }
+
+    const succeeded = results.filter((result) => result.success).length;
+    const failed = results.length - succeeded;
+
+    res.status(200).json({
+      success: true,
+      message: `${succeeded} of ${results.length} comments moderated successfully`,
+      data: {
+        action,
+        total: results.length,
+        succeeded,
+        failed,
+        results,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  MODERATION_ACTIONS,
+  getModerationQueue,
+  moderateComments,
+};
@@ -0,0 +1,256 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const {
+  createAuthorizationUrl,
+  completeAuthorization,
+} = require("../utils/oidc");
+const {
+  issueAuthTokens,
+  generateChallengeToken,
+} = require("../utils/authTokens");
+const { recordLoginAttempt } = require("../utils/loginSecurity");
+const { ErrorResponse } = require("../middlewares/errorHandler");
+
+// Find the account for an external identity, merging into an existing
+// account by verified email or creating a new one
+const findOrCreateUser = async (identity) => {
+  const linked = await User.findOne({
+    identities: {
+      $elemMatch: { provider: identity.provider, subject: identity.subject },
+    },
+  });
+  if (linked) return linked;
+
+  if (!identity.email) {
+    throw new ErrorResponse("Provider did not share an email address", 400);
+  }
+
+  const existing = await User.findOne({ email: identity.email });
+  if (existing) {
+    // Merging on an unverified address would let anyone take the account
+    if (!identity.emailVerified) {
+      throw new ErrorResponse(
+        "An account with this email already exists, please log in and link the provider",
+        409
+      );
+    }
+
+    existing.identities.push({
+      provider: identity.provider,
+      subject: identity.subject,
+      email: identity.email,
+    });
+    existing.emailVerified = true;
+    await existing.save({ validateBeforeSave: false });
+
+    return existing;
+  }
+
+  return User.create({
+    name: (identity.name || identity.email.split("@")[0]).slice(0, 50),
+    email: identity.email,
+    // Never used: the account signs in through the provider until the
+    // user sets a password with the reset flow
+    password: crypto.randomBytes(32).toString("hex"),
+    avatar: identity.picture || "",
+    emailVerified: identity.emailVerified,
+    identities: [
+      {
+        provider: identity.provider,
+        subject: identity.subject,
+        email: identity.email,
+      },
+    ],
+  });
+};
+
+// @desc    Start login with an external provider
+// @route   GET /api/v1/auth/oauth/:provider
+// @access  Public
+const startOAuth = async (req, res, next) => {
+  try {
+    const authorizationUrl = await createAuthorizationUrl(req.params.provider);
+
+    if (req.query.redirect === "true") {
+      return res.redirect(authorizationUrl);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        authorizationUrl,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start linking an external provider to the current account
+// @route   GET /api/v1/auth/oauth/:provider/link
+// @access  Private
+const startOAuthLink = async (req, res, next) => {
+  try {
+    const authorizationUrl = await createAuthorizationUrl(
+      req.params.provider,
+      req.user.id
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        authorizationUrl,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Complete login or linking with an external provider
+// @route   GET /api/v1/auth/oauth/:provider/callback
+// @access  Public (linking needs the token of the account that started it)
+const oauthCallback = async (req, res, next) => {
+  try {
+    const { code, state, error: providerError } = req.query;
+
+    if (providerError) {
+      return next(
+        new ErrorResponse(`Provider returned an error: ${providerError}`, 400)
+      );
+    }
+
+    if (!code || !state) {
+      return next(new ErrorResponse("Code and state are required", 400));
+    }
+
+    // API keys never link providers
+    const { identity, linkUserId } = await completeAuthorization(
+      req.params.provider,
+      { code, state },
+      req.apiKey ? undefined : req.user
+    );
+
+    // Linking flow started by a signed-in user
+    if (linkUserId) {
+      const owner = await User.findOne({
+        identities: {
+          $elemMatch: {
+            provider: identity.provider,
+            subject: identity.subject,
+          },
+        },
+      });
+
+      if (owner && owner._id.toString() !== linkUserId.toString()) {
+        return next(
+          new ErrorResponse(
+            "This identity is already linked to another account",
+            409
+          )
+        );
+      }
+
+      const user = await User.findById(linkUserId);
+      if (!user) {
+        return next(new ErrorResponse("User not found", 404));
+      }
+
+      if (!owner) {
+        user.identities.push({
+          provider: identity.provider,
+          subject: identity.subject,
+          email: identity.email,
+        });
+        await user.save({ validateBeforeSave: false });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: "Provider linked successfully",
+        data: {
+          identities: user.identities,
+        },
+      });
+    }
+
+    const user = await findOrCreateUser(identity);
+
+    if (!user.isActive) {
+      await recordLoginAttempt(req, { user, outcome: "deactivated" });
+      return next(new ErrorResponse("Account is deactivated", 401));
+    }
+
+    // Second step required: hand out a challenge instead of tokens
+    if (user.twoFactorEnabled) {
+      return res.status(200).json({
+        success: true,
+        message: "Two-factor authentication required",
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generateChallengeToken(user._id),
+        },
+      });
+    }
+
+    await recordLoginAttempt(req, { user, outcome: "success" });
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueAuthTokens(user._id, req);
+
+    res.status(200).json({
+      success: true,
+      message: "Login successful",
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          emailVerified: user.emailVerified,
+        },
+        token,
+        refreshToken,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unlink an external provider from the current account
+// @route   DELETE /api/v1/auth/oauth/:provider
+// @access  Private
+const unlinkOAuth = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const provider = req.params.provider.toLowerCase();
+
+    const identities = user.identities.filter(
+      (identity) => identity.provider === provider
+    );
+    if (identities.length === 0) {
+      return next(new ErrorResponse("Provider is not linked", 404));
+    }
+
+    identities.forEach((identity) => user.identities.pull(identity._id));
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: "Provider unlinked successfully",
+      data: {
+        identities: user.identities,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  startOAuth,
+  startOAuthLink,
+  oauthCallback,
+  unlinkOAuth,
+};
@@ -1,8 +1,103 @@
 const { validationResult } = require("express-validator");
 const Post = require("../models/Post");
+const PostRevision = require("../models/PostRevision");
+const PostTransition = require("../models/PostTransition");
+const Comment = require("../models/Comment");
+const PreviewLink = require("../models/PreviewLink");
+const Series = require("../models/Series");
 const User = require("../models/User");
+const Reaction = require("../models/Reaction");
+const Bookmark = require("../models/Bookmark");
+const { withPostViewerState } = require("../utils/viewerState");
+const { can, hasPermission } = require("../config/permissions");
+const { checkTransition } = require("../config/workflow");
 const { ErrorResponse } = require("../middlewares/errorHandler");
 
+// Fields authors may change through updatePost
+const UPDATABLE_FIELDS = [
+  "title",
+  "content",
+  "contentFormat",
+  "excerpt",
+  "category",
+  "tags",
+  "status",
+  "featuredImage",
+  "publishAt",
+];
+
+// Fields authors may set through createPost. Co-authors join through
+// invitations, counters are kept by the server, and the featured image
+// is set afterwards so uploads go through the media ownership check.
+const CREATABLE_FIELDS = UPDATABLE_FIELDS.filter(
+  (field) => field !== "featuredImage"
+);
+
+// A non-empty slug pins the post to it; an empty one goes back to
+// following the title
+const applySlug = (post, slug) => {
+  if (slug === undefined) return;
+
+  post.customSlug = Boolean(slug);
+  post.slug = slug || undefined;
+};
+
+// Keep a revision when tracked fields changed and record status changes
+const recordHistory = async (previous, post, userId) => {
+  if (PostRevision.hasChanges(previous, post)) {
+    // Posts from before revisions existed get their old state saved first
+    if (!(await PostRevision.exists({ post: post._id }))) {
+      await PostRevision.record(previous, previous.author);
+    }
+    await PostRevision.record(post, userId);
+  }
+
+  if (post.status !== previous.status) {
+    await PostTransition.record(post, previous.status, userId);
+  }
+};
+
+// Delete a post along with its comments, reactions, bookmarks, history,
+// preview links and series entries
+const removePost = async (post) => {
+  await Post.findByIdAndDelete(post._id);
+  await PostRevision.deleteMany({ post: post._id });
+  await PreviewLink.deleteMany({ post: post._id });
+  await PostTransition.deleteMany({ post: post._id });
+  const commentIds = await Comment.distinct("_id", { post: post._id });
+  await Reaction.deleteMany({ target: { $in: [post._id, ...commentIds] } });
+  await Comment.deleteMany({ post: post._id });
+  await Bookmark.deleteMany({ post: post._id });
+  await Series.updateMany({ posts: post._id }, { $pull: { posts: post._id } });
+};
+
+// Where a post sits in its series, with links to the published posts
+// either side of it
+const getSeriesNavigation = async (post) => {
+  const series = await Series.findOne({ posts: post._id })
+    .select("title slug posts")
+    .populate("posts", "title slug status");
+
+  if (!series) return null;
+
+  const posts = series.posts.filter(
+    (entry) => entry.status === "published" || entry._id.equals(post._id)
+  );
+  const index = posts.findIndex((entry) => entry._id.equals(post._id));
+  const link = (entry) =>
+    entry ? { _id: entry._id, title: entry.title, slug: entry.slug } : null;
+
+  return {
+    _id: series._id,
+    title: series.title,
+    slug: series.slug,
+    position: index + 1,
+    total: posts.length,
+    previous: link(posts[index - 1]),
+    next: link(posts[index + 1]),
+  };
+};
+
 // @desc    Get all posts
 // @route   GET /api/v1/posts
 // @access  Public
@@ -47,7 +142,10 @@ const getPosts = async (req, res, next) => {
           sortOptions = { views: -1 };
           break;
         case "liked":
-          sortOptions = { "likes.length": -1 };
+          sortOptions = { "reactionCounts.like": -1, publishedAt: -1 };
+          break;
+        case "reactions":
+          sortOptions = { reactionCount: -1, publishedAt: -1 };
           break;
         default:
           sortOptions = { publishedAt: -1 };
@@ -60,7 +158,7 @@ const getPosts = async (req, res, next) => {
       .sort(sortOptions)
       .limit(limit)
       .skip(startIndex)
-      .select("-comments"); // Exclude comments for list view
+      .select("-contentHtml -toc"); // Exclude heavy fields for list view
 
     // Pagination info
     const pagination = {};
@@ -83,7 +181,7 @@ const getPosts = async (req, res, next) => {
       total,
       pagination,
       data: {
-        posts,
+        posts: await withPostViewerState(posts, req.user),
       },
     });
   } catch (error) {
@@ -98,32 +196,37 @@ const getPost = async (req, res, next) => {
   try {
     const post = await Post.findById(req.params.id)
       .populate("author", "name avatar bio")
-      .populate("comments.user", "name avatar");
+      .populate("coAuthors.user", "name avatar")
+      .populate("featuredMedia", "alt original variants");
 
     if (!post) {
       return next(new ErrorResponse("Post not found", 404));
     }
 
-    // Check if post is published or user is owner/admin
-    if (
-      post.status !== "published" &&
-      (!req.user ||
-        (req.user.id !== post.author._id.toString() &&
-          req.user.role !== "admin"))
-    ) {
+    // Check if post is published or user is a contributor/can read drafts
+    if (!post.isVisibleTo(req.user)) {
       return next(new ErrorResponse("Post not found", 404));
     }
 
-    // Increment views if not the author
-    if (!req.user || req.user.id !== post.author._id.toString()) {
+    // Posts saved before rendering existed get rendered on first read
+    if (!post.contentHtml) {
+      post.renderContent();
+    }
+
+    // Increment views if not the author or a co-author
+    if (!req.user || !post.isContributor(req.user.id)) {
       post.views += 1;
       await post.save();
     }
 
+    const series = await getSeriesNavigation(post);
+    const [viewed] = await withPostViewerState([post], req.user);
+
     res.status(200).json({
       success: true,
       data: {
-        post,
+        post: viewed,
+        series,
       },
     });
   } catch (error) {
@@ -138,32 +241,56 @@ const getPostBySlug = async (req, res, next) => {
   try {
     const post = await Post.findOne({ slug: req.params.slug })
       .populate("author", "name avatar bio")
-      .populate("comments.user", "name avatar");
+      .populate("coAuthors.user", "name avatar")
+      .populate("featuredMedia", "alt original variants");
 
     if (!post) {
+      // Old slugs permanently redirect to the current one
+      const moved = await Post.findOne({
+        previousSlugs: req.params.slug,
+      }).select("slug author coAuthors status");
+
+      // Don't reveal where a post the viewer can't read has moved to
+      if (moved && moved.isVisibleTo(req.user)) {
+        return res
+          .status(301)
+          .location(`${req.baseUrl}/slug/${moved.slug}`)
+          .json({
+            success: true,
+            message: "Post has moved",
+            data: {
+              slug: moved.slug,
+            },
+          });
+      }
+
       return next(new ErrorResponse("Post not found", 404));
     }
 
-    // Check if post is published or user is owner/admin
-    if (
-      post.status !== "published" &&
-      (!req.user ||
-        (req.user.id !== post.author._id.toString() &&
-          req.user.role !== "admin"))
-    ) {
+    // Check if post is published or user is a contributor/can read drafts
+    if (!post.isVisibleTo(req.user)) {
       return next(new ErrorResponse("Post not found", 404));
     }
 
-    // Increment views if not the author
-    if (!req.user || req.user.id !== post.author._id.toString()) {
+    // Posts saved before rendering existed get rendered on first read
+    if (!post.contentHtml) {
+      post.renderContent();
+    }
+
+    // Increment views if not the author or a co-author
+    if (!req.user || !post.isContributor(req.user.id)) {
       post.views += 1;
       await post.save();
     }
 
+    const series = await getSeriesNavigation(post);
+    const [viewed] = await withPostViewerState([post], req.user);
+
     res.status(200).json({
       success: true,
       data: {
-        post,
+        post: viewed,
+        series,
       },
     });
   } catch (error) {
@@ -186,10 +313,27 @@ const createPost = async (req, res, next) => {
       });
     }
 
-    // Add author to req.body
-    req.body.author = req.user.id;
+    // New posts start out as drafts
+    const statusError = checkTransition(
+      "draft",
+      req.body.status || "draft",
+      req.user
+    );
+    if (statusError) {
+      return next(statusError);
+    }
+
+    // Add author to the post
+    const post = new Post({ author: req.user.id });
+    CREATABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) post[field] = req.body[field];
+    });
+    applySlug(post, req.body.slug);
+    await post.save();
 
-    const post = await Post.create(req.body);
+    // First revision and status
+    await PostRevision.record(post, req.user.id);
+    await PostTransition.record(post, undefined, req.user.id);
 
     // Populate author info
     await post.populate("author", "name avatar");
@@ -211,14 +355,17 @@ const createPost = async (req, res, next) => {
 // @access  Private
 const updatePost = async (req, res, next) => {
   try {
-    let post = await Post.findById(req.params.id);
+    const post = await Post.findById(req.params.id);
 
     if (!post) {
       return next(new ErrorResponse("Post not found", 404));
     }
 
-    // Check if user is owner or admin
-    if (post.author.toString() !== req.user.id && req.user.role !== "admin") {
+    // Check if user may edit this post (co-authors need the editor role)
+    if (
+      !can(req.user, "posts:update", post.author) &&
+      post.getCoAuthorRole(req.user.id) !== "editor"
+    ) {
       return next(new ErrorResponse("Not authorized to update this post", 403));
     }
 
@@ -232,10 +379,31 @@ const updatePost = async (req, res, next) => {
       });
     }
 
-    post = await Post.findByIdAndUpdate(req.params.id, req.body, {
-      new: true,
-      runValidators: true,
-    }).populate("author", "name avatar");
+    // Status changes must follow the workflow
+    if (req.body.status !== undefined) {
+      const statusError = checkTransition(
+        post.status,
+        req.body.status,
+        req.user
+      );
+      if (statusError) {
+        return next(statusError);
+      }
+    }
+
+    const previous = post.toObject();
+
+    // Save through the document so slug, rendering and read time hooks run
+    UPDATABLE_FIELDS.forEach((field) => {
+      if (req.body[field] !== undefined) post[field] = req.body[field];
+    });
+    // A featured image given as a URL replaces any uploaded one
+    if (req.body.featuredImage !== undefined) post.featuredMedia = undefined;
+    applySlug(post, req.body.slug);
+    await post.save();
+
+    await post.populate("author", "name avatar");
+    await recordHistory(previous, post, req.user.id);
 
     res.status(200).json({
       success: true,
@@ -260,12 +428,12 @@ const deletePost = async (req, res, next) => {
       return next(new ErrorResponse("Post not found", 404));
     }
 
-    // Check if user is owner or admin
-    if (post.author.toString() !== req.user.id && req.user.role !== "admin") {
+    // Check if user may delete this post
+    if (!can(req.user, "posts:delete", post.author)) {
       return next(new ErrorResponse("Not authorized to delete this post", 403));
     }
 
-    await Post.findByIdAndDelete(req.params.id);
+    await removePost(post);
 
     res.status(200).json({
       success: true,
@@ -276,82 +444,142 @@ const deletePost = async (req, res, next) => {
   }
 };
 
-// @desc    Like/Unlike post
-// @route   PUT /api/v1/posts/:id/like
-// @access  Private
-const likePost = async (req, res, next) => {
-  try {
-    const post = await Post.findById(req.params.id);
+// Apply the requested bulk action to one post; throws when it is not
+// allowed. Returns whether the post changed.
+const applyBulkAction = async (req, post) => {
+  const { action, status, publishAt, tags, category } = req.body;
 
-    if (!post) {
-      return next(new ErrorResponse("Post not found", 404));
+  if (action === "delete") {
+    if (!can(req.user, "posts:delete", post.author)) {
+      throw new ErrorResponse("Not authorized to delete this post", 403);
     }
+    await removePost(post);
+    return true;
+  }
 
-    // Check if post is already liked by user
-    const isLiked = post.likes.some(
-      (like) => like.user.toString() === req.user.id
-    );
+  if (
+    !can(req.user, "posts:update", post.author) &&
+    post.getCoAuthorRole(req.user.id) !== "editor"
+  ) {
+    throw new ErrorResponse("Not authorized to update this post", 403);
+  }
 
-    if (isLiked) {
-      // Unlike the post
-      post.likes = post.likes.filter(
-        (like) => like.user.toString() !== req.user.id
-      );
-    } else {
-      // Like the post
-      post.likes.push({ user: req.user.id });
-    }
+  const previous = post.toObject();
 
-    await post.save();
+  switch (action) {
+    case "status": {
+      const statusError = checkTransition(post.status, status, req.user);
+      if (statusError) throw statusError;
 
-    res.status(200).json({
-      success: true,
-      message: isLiked ? "Post unliked" : "Post liked",
-      data: {
-        likesCount: post.likes.length,
-        isLiked: !isLiked,
-      },
-    });
-  } catch (error) {
-    next(error);
+      post.status = status;
+      if (status === "scheduled") post.publishAt = publishAt;
+      break;
+    }
+    case "addTags":
+      post.tags.addToSet(...tags);
+      break;
+    case "removeTags":
+      post.tags.pull(...tags);
+      break;
+    case "category":
+      post.category = category;
+      break;
   }
+
+  if (!post.isModified()) return false;
+
+  await post.save();
+  await recordHistory(previous, post, req.user.id);
+  return true;
 };
 
-// @desc    Add comment to post
-// @route   POST /api/v1/posts/:id/comments
+// @desc    Change status, tags or category of many posts, or delete them
+// @route   POST /api/v1/posts/bulk
 // @access  Private
-const addComment = async (req, res, next) => {
+const bulkUpdatePosts = async (req, res, next) => {
   try {
-    const { text } = req.body;
-
-    if (!text) {
-      return next(new ErrorResponse("Comment text is required", 400));
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
     }
 
-    const post = await Post.findById(req.params.id);
+    const { action, ids, filter } = req.body;
+    const max = parseInt(process.env.BULK_MAX_POSTS, 10) || 100;
 
-    if (!post) {
-      return next(new ErrorResponse("Post not found", 404));
+    let targets;
+    if (ids) {
+      targets = [...new Set(ids)];
+    } else {
+      const query = {};
+      if (filter.status) query.status = filter.status;
+      if (filter.category) query.category = filter.category.toLowerCase();
+      if (filter.tags) query.tags = { $in: filter.tags };
+      if (filter.author) query.author = filter.author;
+
+      // Without rights over everyone's posts a filter only matches the
+      // posts you could act on one by one: your own, and for updates the
+      // ones you co-author as an editor
+      if (action === "delete") {
+        if (!hasPermission(req.user, "posts:delete:any")) {
+          query.author = req.user.id;
+        }
+      } else if (!hasPermission(req.user, "posts:update:any")) {
+        Object.assign(query, Post.contributorQuery(req.user.id, "editor"));
+      }
+
+      const matched = await Post.find(query)
+        .select("_id")
+        .limit(max + 1);
+      targets = matched.map((post) => post._id.toString());
     }
 
-    const newComment = {
-      user: req.user.id,
-      text: text.trim(),
-    };
+    if (targets.length > max) {
+      return next(
+        new ErrorResponse(
+          `Bulk operations are limited to ${max} posts, narrow the filter`,
+          400
+        )
+      );
+    }
 
-    post.comments.push(newComment);
-    await post.save();
+    const posts = await Post.find({ _id: { $in: targets } });
+    const byId = new Map(posts.map((post) => [post._id.toString(), post]));
 
-    // Populate the new comment
-    await post.populate("comments.user", "name avatar");
+    // One result per post; a failure never stops the others
+    const results = [];
+    for (const id of targets) {
+      const post = byId.get(id);
 
-    const addedComment = post.comments[post.comments.length - 1];
+      if (!post) {
+        results.push({ id, success: false, error: "Post not found" });
+        continue;
+      }
 
-    res.status(201).json({
+      try {
+        const changed = await applyBulkAction(req, post);
+        results.push({ id, success: true, changed });
+      } catch (error) {
+        results.push({ id, success: false, error: error.message });
+      }
+    }
+
+    const succeeded = results.filter((result) => result.success).length;
+    const failed = results.length - succeeded;
+
+    res.status(200).json({
       success: true,
-      message: "Comment added successfully",
+      message: `${succeeded} of ${results.length} posts processed successfully`,
       data: {
-        comment: addedComment,
+        action,
+        total: results.length,
+        succeeded,
+        failed,
+        results,
       },
     });
   } catch (error) {
@@ -359,36 +587,40 @@ const addComment = async (req, res, next) => {
   }
 };
 
-// @desc    Delete comment
-// @route   DELETE /api/v1/posts/:id/comments/:commentId
+// @desc    Like/Unlike post
+// @route   PUT /api/v1/posts/:id/like
 // @access  Private
-const deleteComment = async (req, res, next) => {
+const likePost = async (req, res, next) => {
   try {
-    const post = await Post.findById(req.params.id);
+    const post = await Post.findById(req.params.id).select(
+      "author coAuthors status"
+    );
 
-    if (!post) {
+    if (!post || !post.isVisibleTo(req.user)) {
       return next(new ErrorResponse("Post not found", 404));
     }
 
-    const comment = post.comments.id(req.params.commentId);
-
-    if (!comment) {
-      return next(new ErrorResponse("Comment not found", 404));
-    }
-
-    // Check if user is comment owner or admin
-    if (comment.user.toString() !== req.user.id && req.user.role !== "admin") {
-      return next(
-        new ErrorResponse("Not authorized to delete this comment", 403)
-      );
+    // Toggle the "like" reaction; both steps are atomic, so parallel
+    // requests can't count a like twice
+    const isLiked = !(await Reaction.addReaction(
+      "Post",
+      post._id,
+      req.user.id,
+      "like"
+    ));
+    if (isLiked) {
+      await Reaction.removeReaction("Post", post._id, req.user.id, "like");
     }
 
-    post.comments.pull(req.params.commentId);
-    await post.save();
+    const counts = await Post.findById(post._id).select("reactionCounts");
 
     res.status(200).json({
       success: true,
-      message: "Comment deleted successfully",
+      message: isLiked ? "Post unliked" : "Post liked",
+      data: {
+        likesCount: counts.reactionCounts.like,
+        isLiked: !isLiked,
+      },
     });
   } catch (error) {
     next(error);
@@ -404,8 +636,8 @@ const getMyPosts = async (req, res, next) => {
     const limit = parseInt(req.query.limit, 10) || 10;
     const startIndex = (page - 1) * limit;
 
-    // Build query
-    let query = { author: req.user.id };
+    // Build query - own and co-authored posts
+    let query = Post.contributorQuery(req.user.id);
 
     // Filter by status
     if (req.query.status) {
@@ -424,7 +656,7 @@ const getMyPosts = async (req, res, next) => {
       count: posts.length,
       total,
       data: {
-        posts,
+        posts: await withPostViewerState(posts, req.user),
       },
     });
   } catch (error) {
@@ -439,8 +671,7 @@ module.exports = {
   createPost,
   updatePost,
   deletePost,
+  bulkUpdatePosts,
   likePost,
-  addComment,
-  deleteComment,
   getMyPosts,
 };
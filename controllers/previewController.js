@@ -0,0 +1,202 @@
+const { validationResult } = require("express-validator");
+const Post = require("../models/Post");
+const PreviewLink = require("../models/PreviewLink");
+const {
+  generatePreviewToken,
+  verifyPreviewToken,
+} = require("../utils/authTokens");
+const { can } = require("../config/permissions");
+const { ErrorResponse } = require("../middlewares/errorHandler");
+
+// Load a post whose preview links the current user may manage
+const findShareablePost = async (req) => {
+  const post = await Post.findById(req.params.id).select(
+    "author coAuthors status"
+  );
+
+  if (!post) {
+    throw new ErrorResponse("Post not found", 404);
+  }
+
+  if (
+    !can(req.user, "posts:update", post.author) &&
+    post.getCoAuthorRole(req.user.id) !== "editor"
+  ) {
+    throw new ErrorResponse("Not authorized to share this post", 403);
+  }
+
+  return post;
+};
+
+// @desc    Create a preview link for an unpublished post
+// @route   POST /api/v1/posts/:id/preview-links
+// @access  Private (Owner/Co-editor/Editor/Admin)
+const createPreviewLink = async (req, res, next) => {
+  try {
+    const post = await findShareablePost(req);
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    if (post.status === "published") {
+      return next(
+        new ErrorResponse("Published posts can be shared directly", 400)
+      );
+    }
+
+    const hours =
+      req.body.expiresInHours ||
+      parseInt(process.env.PREVIEW_LINK_EXPIRE_HOURS, 10) ||
+      72;
+
+    const previewLink = await PreviewLink.create({
+      post: post._id,
+      createdBy: req.user.id,
+      name: req.body.name,
+      expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000),
+    });
+
+    const token = generatePreviewToken(previewLink);
+
+    res.status(201).json({
+      success: true,
+      message:
+        "Preview link created successfully. Copy it now, it will not be shown again",
+      data: {
+        previewLink,
+        token,
+        url: `${req.protocol}://${req.get("host")}${
+          req.baseUrl
+        }/preview/${token}`,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a post's preview links
+// @route   GET /api/v1/posts/:id/preview-links
+// @access  Private (Owner/Co-editor/Editor/Admin)
+const getPreviewLinks = async (req, res, next) => {
+  try {
+    const post = await findShareablePost(req);
+
+    // Build query
+    let query = { post: post._id };
+
+    // Revoked and expired links are hidden unless asked for
+    if (req.query.includeInactive !== "true") {
+      query.revokedAt = null;
+      query.expiresAt = { $gt: new Date() };
+    }
+
+    const previewLinks = await PreviewLink.find(query)
+      .populate("createdBy", "name")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: previewLinks.length,
+      data: {
+        previewLinks,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke a preview link
+// @route   DELETE /api/v1/posts/:id/preview-links/:linkId
+// @access  Private (Owner/Co-editor/Editor/Admin)
+const revokePreviewLink = async (req, res, next) => {
+  try {
+    const post = await findShareablePost(req);
+
+    const previewLink = await PreviewLink.findOne({
+      _id: req.params.linkId,
+      post: post._id,
+    });
+
+    if (!previewLink) {
+      return next(new ErrorResponse("Preview link not found", 404));
+    }
+
+    if (previewLink.revokedAt) {
+      return next(new ErrorResponse("Preview link is already revoked", 400));
+    }
+
+    previewLink.revokedAt = new Date();
+    await previewLink.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Preview link revoked successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    View a post through a preview link (read-only, no view count)
+// @route   GET /api/v1/posts/preview/:token
+// @access  Public
+const getPreview = async (req, res, next) => {
+  try {
+    const linkId = verifyPreviewToken(req.params.token);
+
+    const previewLink = await PreviewLink.findById(linkId);
+
+    if (!previewLink || !previewLink.isActive()) {
+      return next(new ErrorResponse("Invalid or expired preview link", 404));
+    }
+
+    const post = await Post.findById(previewLink.post)
+      .select("-reactionCounts -reactionCount -previousSlugs")
+      .populate("author", "name avatar bio")
+      .populate("coAuthors.user", "name avatar");
+
+    if (!post) {
+      return next(new ErrorResponse("Invalid or expired preview link", 404));
+    }
+
+    // Render for this response only; previews never write to the post
+    if (!post.contentHtml) {
+      post.renderContent();
+    }
+
+    previewLink.lastViewedAt = new Date();
+    await previewLink.save();
+
+    // Drafts must not end up in shared caches or search engines
+    res.set("Cache-Control", "private, no-store");
+    res.set("X-Robots-Tag", "noindex, nofollow");
+
+    res.status(200).json({
+      success: true,
+      data: {
+        post,
+        preview: {
+          expiresAt: previewLink.expiresAt,
+        },
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  createPreviewLink,
+  getPreviewLinks,
+  revokePreviewLink,
+  getPreview,
+};
@@ -0,0 +1,151 @@
+const Post = require("../models/Post");
+const Comment = require("../models/Comment");
+const Reaction = require("../models/Reaction");
+const { ErrorResponse } = require("../middlewares/errorHandler");
+
+const TARGET_MODELS = { Post, Comment };
+
+// Load the post, or the comment on it, the current user reacts to
+const findReactionTarget = async (req) => {
+  const post = await Post.findById(req.params.id).select(
+    "author coAuthors status"
+  );
+
+  if (!post || !post.isVisibleTo(req.user)) {
+    throw new ErrorResponse("Post not found", 404);
+  }
+
+  if (!req.params.commentId) {
+    return { targetType: "Post", target: post._id };
+  }
+
+  const comment = await Comment.findOne({
+    _id: req.params.commentId,
+    post: post._id,
+  }).select("status isDeleted");
+
+  if (!comment || comment.isDeleted || comment.status !== "approved") {
+    throw new ErrorResponse("Comment not found", 404);
+  }
+
+  return { targetType: "Comment", target: comment._id };
+};
+
+const checkReactionType = (type) => {
+  if (!Reaction.types.includes(type)) {
+    throw new ErrorResponse(
+      `Reaction must be one of: ${Reaction.types.join(", ")}`,
+      400
+    );
+  }
+};
+
+// Current counters and the user's own reactions on a target
+const sendReactions = async (res, req, { targetType, target }, message) => {
+  const counts = await TARGET_MODELS[targetType]
+    .findById(target)
+    .select("reactionCounts reactionCount");
+  const given = await Reaction.forViewer([target], req.user);
+
+  res.status(200).json({
+    success: true,
+    message,
+    data: {
+      reactionCounts: counts.reactionCounts,
+      reactionCount: counts.reactionCount,
+      myReactions: given.get(target.toString()),
+    },
+  });
+};
+
+// @desc    React to a post or comment
+// @route   POST /api/v1/posts/:id[/comments/:commentId]/reactions
+// @access  Private
+const addReaction = async (req, res, next) => {
+  try {
+    checkReactionType(req.body.type);
+    const found = await findReactionTarget(req);
+
+    const added = await Reaction.addReaction(
+      found.targetType,
+      found.target,
+      req.user.id,
+      req.body.type
+    );
+
+    await sendReactions(
+      res,
+      req,
+      found,
+      added ? "Reaction added" : "Reaction already added"
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Take back a reaction to a post or comment
+// @route   DELETE /api/v1/posts/:id[/comments/:commentId]/reactions/:type
+// @access  Private
+const removeReaction = async (req, res, next) => {
+  try {
+    checkReactionType(req.params.type);
+    const found = await findReactionTarget(req);
+
+    const removed = await Reaction.removeReaction(
+      found.targetType,
+      found.target,
+      req.user.id,
+      req.params.type
+    );
+
+    await sendReactions(
+      res,
+      req,
+      found,
+      removed ? "Reaction removed" : "No reaction to remove"
+    );
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rebuild the reaction counters of a post and its comments
+// @route   POST /api/v1/posts/:id/reactions/recount
+// @access  Private/Admin
+const recountReactions = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id).select("_id");
+
+    if (!post) {
+      return next(new ErrorResponse("Post not found", 404));
+    }
+
+    const counts = await Reaction.recount("Post", post._id);
+
+    const commentIds = await Comment.distinct("_id", { post: post._id });
+    for (const commentId of commentIds) {
+      await Reaction.recount("Comment", commentId);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Reaction counters rebuilt",
+      data: {
+        reactionCounts: Object.fromEntries(
+          Reaction.types.map((type) => [type, counts[`reactionCounts.${type}`]])
+        ),
+        reactionCount: counts.reactionCount,
+        commentsRecounted: commentIds.length,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  addReaction,
+  removeReaction,
+  recountReactions,
+};
@@ -0,0 +1,176 @@
+const Diff = require("diff");
+const Post = require("../models/Post");
+const PostRevision = require("../models/PostRevision");
+const { can } = require("../config/permissions");
+const { ErrorResponse } = require("../middlewares/errorHandler");
+
+const toParts = (changes) =>
+  changes.map((part) => ({
+    type: part.added ? "added" : part.removed ? "removed" : "unchanged",
+    value: part.value,
+  }));
+
+// Field-by-field differences between two revisions
+const diffRevisions = (from, to) => {
+  const fromTags = from.tags || [];
+  const toTags = to.tags || [];
+
+  return {
+    title: toParts(Diff.diffWordsWithSpace(from.title || "", to.title || "")),
+    excerpt: toParts(
+      Diff.diffWordsWithSpace(from.excerpt || "", to.excerpt || "")
+    ),
+    content: toParts(Diff.diffLines(from.content || "", to.content || "")),
+    tags: {
+      added: toTags.filter((tag) => !fromTags.includes(tag)),
+      removed: fromTags.filter((tag) => !toTags.includes(tag)),
+    },
+  };
+};
+
+// Load a post and make sure the user may see its history
+const findEditablePost = async (req) => {
+  const post = await Post.findById(req.params.id);
+
+  if (!post) {
+    throw new ErrorResponse("Post not found", 404);
+  }
+
+  if (
+    !can(req.user, "posts:update", post.author) &&
+    post.getCoAuthorRole(req.user.id) !== "editor"
+  ) {
+    throw new ErrorResponse("Not authorized to view this post's history", 403);
+  }
+
+  return post;
+};
+
+const findRevision = async (post, number) => {
+  const revision = await PostRevision.findOne({
+    post: post._id,
+    number: parseInt(number, 10),
+  }).populate("editor", "name avatar");
+
+  if (!revision) {
+    throw new ErrorResponse(`Revision ${number} not found`, 404);
+  }
+
+  return revision;
+};
+
+// @desc    Get post revisions
+// @route   GET /api/v1/posts/:id/revisions
+// @access  Private (Owner/Co-editor/Editor/Admin)
+const getRevisions = async (req, res, next) => {
+  try {
+    const post = await findEditablePost(req);
+
+    const revisions = await PostRevision.find({ post: post._id })
+      .populate("editor", "name avatar")
+      .select("-content")
+      .sort({ number: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: revisions.length,
+      data: {
+        revisions,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a single revision
+// @route   GET /api/v1/posts/:id/revisions/:number
+// @access  Private (Owner/Co-editor/Editor/Admin)
+const getRevision = async (req, res, next) => {
+  try {
+    const post = await findEditablePost(req);
+    const revision = await findRevision(post, req.params.number);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        revision,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Diff two revisions
+// @route   GET /api/v1/posts/:id/revisions/diff?from=1&to=2
+// @access  Private (Owner/Co-editor/Editor/Admin)
+const getRevisionDiff = async (req, res, next) => {
+  try {
+    if (!req.query.from || !req.query.to) {
+      return next(
+        new ErrorResponse("Both from and to revision numbers are required", 400)
+      );
+    }
+
+    const post = await findEditablePost(req);
+    const from = await findRevision(post, req.query.from);
+    const to = await findRevision(post, req.query.to);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from: from.number,
+        to: to.number,
+        diff: diffRevisions(from, to),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Restore a revision as a new revision
+// @route   POST /api/v1/posts/:id/revisions/:number/restore
+// @access  Private (Owner/Co-editor/Editor/Admin)
+const restoreRevision = async (req, res, next) => {
+  try {
+    const post = await findEditablePost(req);
+    const revision = await findRevision(post, req.params.number);
+
+    PostRevision.fields.forEach((field) => {
+      // Older revisions have no format; they keep the current one
+      if (revision[field] !== undefined) post[field] = revision[field];
+    });
+
+    // A generated excerpt is generated again from the restored content,
+    // and keeps following later edits
+    if (revision.autoExcerpt) {
+      post.autoExcerpt = true;
+      post.renderContent();
+    }
+    await post.save();
+    await post.populate("author", "name avatar");
+
+    const restored = await PostRevision.record(post, req.user.id, {
+      restoredFrom: revision.number,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `Revision ${revision.number} restored as revision ${restored.number}`,
+      data: {
+        post,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getRevisions,
+  getRevision,
+  getRevisionDiff,
+  restoreRevision,
+};
@@ -0,0 +1,332 @@
+const { validationResult } = require("express-validator");
+const Series = require("../models/Series");
+const Post = require("../models/Post");
+const { can } = require("../config/permissions");
+const { ErrorResponse } = require("../middlewares/errorHandler");
+
+const SERIES_POST_FIELDS = "title slug excerpt status publishedAt readTime";
+
+// Readers only see the published posts of a series; its owner sees all
+const sendSeries = async (req, res, series, status = 200, message) => {
+  await series.populate([
+    { path: "owner", select: "name avatar" },
+    { path: "posts", select: SERIES_POST_FIELDS },
+  ]);
+
+  const data = series.toJSON();
+  if (!can(req.user, "series:update", series.owner._id)) {
+    data.posts = data.posts.filter((post) => post.status === "published");
+  }
+
+  res.status(status).json({
+    success: true,
+    ...(message && { message }),
+    data: {
+      series: data,
+    },
+  });
+};
+
+// Load a series the current user may change
+const findOwnSeries = async (req, action) => {
+  const series = await Series.findById(req.params.id);
+
+  if (!series) {
+    throw new ErrorResponse("Series not found", 404);
+  }
+
+  if (!can(req.user, `series:${action}`, series.owner)) {
+    throw new ErrorResponse(`Not authorized to ${action} this series`, 403);
+  }
+
+  return series;
+};
+
+// @desc    Get all series
+// @route   GET /api/v1/series
+// @access  Public
+const getAllSeries = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+
+    const query = {};
+
+    // Filter by owner
+    if (req.query.owner) {
+      query.owner = req.query.owner;
+    }
+
+    const total = await Series.countDocuments(query);
+    const series = await Series.find(query)
+      .populate("owner", "name avatar")
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(startIndex);
+
+    res.status(200).json({
+      success: true,
+      count: series.length,
+      total,
+      data: {
+        series,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single series
+// @route   GET /api/v1/series/:id
+// @access  Public
+const getSeries = async (req, res, next) => {
+  try {
+    const series = await Series.findById(req.params.id);
+
+    if (!series) {
+      return next(new ErrorResponse("Series not found", 404));
+    }
+
+    await sendSeries(req, res, series);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get series by slug
+// @route   GET /api/v1/series/slug/:slug
+// @access  Public
+const getSeriesBySlug = async (req, res, next) => {
+  try {
+    const series = await Series.findOne({ slug: req.params.slug });
+
+    if (!series) {
+      return next(new ErrorResponse("Series not found", 404));
+    }
+
+    await sendSeries(req, res, series);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create series
+// @route   POST /api/v1/series
+// @access  Private
+const createSeries = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { title, description, slug } = req.body;
+
+    const series = await Series.create({
+      title,
+      description,
+      slug: slug || undefined,
+      owner: req.user.id,
+    });
+
+    await sendSeries(req, res, series, 201, "Series created successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update series
+// @route   PUT /api/v1/series/:id
+// @access  Private (Owner/Admin)
+const updateSeries = async (req, res, next) => {
+  try {
+    const series = await findOwnSeries(req, "update");
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { title, description, slug } = req.body;
+
+    if (title !== undefined) series.title = title;
+    if (description !== undefined) series.description = description;
+    // An empty slug picks a new one from the title
+    if (slug !== undefined) series.slug = slug || undefined;
+    await series.save();
+
+    await sendSeries(req, res, series, 200, "Series updated successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete series (its posts are kept)
+// @route   DELETE /api/v1/series/:id
+// @access  Private (Owner/Admin)
+const deleteSeries = async (req, res, next) => {
+  try {
+    const series = await findOwnSeries(req, "delete");
+
+    await series.deleteOne();
+
+    res.status(200).json({
+      success: true,
+      message: "Series deleted successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add a post to a series
+// @route   POST /api/v1/series/:id/posts
+// @access  Private (Owner/Admin)
+const addSeriesPost = async (req, res, next) => {
+  try {
+    const series = await findOwnSeries(req, "update");
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const { postId, position } = req.body;
+
+    const post = await Post.findById(postId).select("author");
+
+    if (!post) {
+      return next(new ErrorResponse("Post not found", 404));
+    }
+
+    // Only posts the user could edit can be collected
+    if (!can(req.user, "posts:update", post.author)) {
+      return next(
+        new ErrorResponse("Not authorized to add this post to a series", 403)
+      );
+    }
+
+    if (series.indexOfPost(post._id) !== -1) {
+      return next(new ErrorResponse("Post is already in this series", 400));
+    }
+
+    if (await Series.exists({ posts: post._id })) {
+      return next(
+        new ErrorResponse("Post already belongs to another series", 400)
+      );
+    }
+
+    // Positions start at 1; without one the post goes last
+    const index = position
+      ? Math.min(position - 1, series.posts.length)
+      : series.posts.length;
+    series.posts.splice(index, 0, post._id);
+    try {
+      await series.save();
+    } catch (error) {
+      // Another series took the post since the check above
+      if (error.code === 11000) {
+        return next(
+          new ErrorResponse("Post already belongs to another series", 400)
+        );
+      }
+      throw error;
+    }
+
+    await sendSeries(req, res, series, 200, "Post added to series");
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a post from a series
+// @route   DELETE /api/v1/series/:id/posts/:postId
+// @access  Private (Owner/Admin)
+const removeSeriesPost = async (req, res, next) => {
+  try {
+    const series = await findOwnSeries(req, "update");
+
+    const index = series.indexOfPost(req.params.postId);
+    if (index === -1) {
+      return next(new ErrorResponse("Post is not in this series", 404));
+    }
+
+    series.posts.splice(index, 1);
+    await series.save();
+
+    await sendSeries(req, res, series, 200, "Post removed from series");
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reorder the posts of a series
+// @route   PUT /api/v1/series/:id/posts
+// @access  Private (Owner/Admin)
+const reorderSeriesPosts = async (req, res, next) => {
+  try {
+    const series = await findOwnSeries(req, "update");
+
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    // The new order must list exactly the posts already in the series
+    const { posts } = req.body;
+    const current = series.posts.map((id) => id.toString());
+    if (
+      posts.length !== current.length ||
+      new Set(posts).size !== posts.length ||
+      !posts.every((id) => current.includes(id))
+    ) {
+      return next(
+        new ErrorResponse(
+          "Order must list every post in the series exactly once",
+          400
+        )
+      );
+    }
+
+    series.posts = posts;
+    await series.save();
+
+    await sendSeries(req, res, series, 200, "Series reordered successfully");
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getAllSeries,
+  getSeries,
+  getSeriesBySlug,
+  createSeries,
+  updateSeries,
+  deleteSeries,
+  addSeriesPost,
+  removeSeriesPost,
+  reorderSeriesPosts,
+};
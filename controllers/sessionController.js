@@ -0,0 +1,88 @@
+const Session = require("../models/Session");
+const { revokeSession, revokeUserTokens } = require("../utils/authTokens");
+const { ErrorResponse } = require("../middlewares/errorHandler");
+
+// @desc    Get my active sessions
+// @route   GET /api/v1/auth/sessions
+// @access  Private
+const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user.id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastSeenAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      data: {
+        sessions: sessions.map((session) => ({
+          id: session._id,
+          userAgent: session.userAgent,
+          ip: session.ip,
+          lastSeenIp: session.lastSeenIp,
+          createdAt: session.createdAt,
+          lastSeenAt: session.lastSeenAt,
+          current: session._id.toString() === req.sessionId,
+        })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Sign out a session
+// @route   DELETE /api/v1/auth/sessions/:id
+// @access  Private
+const revokeSessionById = async (req, res, next) => {
+  try {
+    const session = await Session.findOne({
+      _id: req.params.id,
+      user: req.user.id,
+      revokedAt: null,
+    });
+
+    if (!session) {
+      return next(new ErrorResponse("Session not found", 404));
+    }
+
+    await revokeSession(session._id, "logout");
+
+    res.status(200).json({
+      success: true,
+      message: "Session signed out successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Sign out every session except the current one
+// @route   DELETE /api/v1/auth/sessions
+// @access  Private
+const revokeOtherSessions = async (req, res, next) => {
+  try {
+    const count = await revokeUserTokens(req.user.id, {
+      except: req.sessionId,
+      reason: "logout",
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Signed out of all other sessions",
+      data: {
+        revokedSessions: count,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  getSessions,
+  revokeSessionById,
+  revokeOtherSessions,
+};
@@ -0,0 +1,314 @@
+const crypto = require("crypto");
+const { validationResult } = require("express-validator");
+const User = require("../models/User");
+const {
+  hashToken,
+  issueAuthTokens,
+  verifyChallengeToken,
+} = require("../utils/authTokens");
+const {
+  generateSecret,
+  verifyCode,
+  buildOtpauthUri,
+} = require("../utils/totp");
+const {
+  isLocked,
+  recordLoginAttempt,
+  registerFailedLogin,
+  resetFailedLogins,
+} = require("../utils/loginSecurity");
+const { ErrorResponse } = require("../middlewares/errorHandler");
+
+const TWO_FACTOR_FIELDS =
+  "+twoFactorSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep";
+
+const normalizeRecoveryCode = (code) =>
+  String(code).replace(/[\s-]/g, "").toLowerCase();
+
+// Create a fresh set of recovery codes; returns the plain codes and
+// stores only their hashes on the user
+const generateRecoveryCodes = (user) => {
+  const codes = Array.from({ length: 10 }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  user.twoFactorRecoveryCodes = codes.map((code) =>
+    hashToken(normalizeRecoveryCode(code))
+  );
+
+  return codes;
+};
+
+// Check a TOTP code or a recovery code. Accepted codes are consumed.
+const checkSecondFactor = (user, { code, recoveryCode }) => {
+  if (code) {
+    const step = verifyCode(user.twoFactorSecret, code);
+    if (step === null || step <= (user.twoFactorLastUsedStep ?? -1)) {
+      return false;
+    }
+    user.twoFactorLastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(normalizeRecoveryCode(recoveryCode));
+    const index = (user.twoFactorRecoveryCodes || []).indexOf(hash);
+    if (index === -1) return false;
+    user.twoFactorRecoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
+
+// @desc    Start 2FA enrollment
+// @route   POST /api/v1/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactorEnabled) {
+      return next(
+        new ErrorResponse("Two-factor authentication is already enabled", 400)
+      );
+    }
+
+    // Stored but inactive until confirmed with a valid code
+    user.twoFactorSecret = generateSecret();
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: "Scan the QR code and confirm with a code from your app",
+      data: {
+        secret: user.twoFactorSecret,
+        otpauthUri: buildOtpauthUri(user.twoFactorSecret, user.email),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Confirm enrollment and enable 2FA
+// @route   POST /api/v1/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (user.twoFactorEnabled) {
+      return next(
+        new ErrorResponse("Two-factor authentication is already enabled", 400)
+      );
+    }
+
+    if (!user.twoFactorSecret) {
+      return next(
+        new ErrorResponse("Start two-factor setup before enabling it", 400)
+      );
+    }
+
+    if (!checkSecondFactor(user, { code: req.body.code })) {
+      return next(new ErrorResponse("Invalid authentication code", 400));
+    }
+
+    user.twoFactorEnabled = true;
+    const recoveryCodes = generateRecoveryCodes(user);
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication enabled",
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Disable 2FA
+// @route   POST /api/v1/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.user.id).select(
+      `+password ${TWO_FACTOR_FIELDS}`
+    );
+
+    if (!user.twoFactorEnabled) {
+      return next(
+        new ErrorResponse("Two-factor authentication is not enabled", 400)
+      );
+    }
+
+    if (user.role === "admin" && process.env.REQUIRE_ADMIN_2FA === "true") {
+      return next(
+        new ErrorResponse(
+          "Two-factor authentication is required for admin accounts",
+          403
+        )
+      );
+    }
+
+    const isMatch = await user.matchPassword(req.body.password);
+    if (!isMatch || !checkSecondFactor(user, req.body)) {
+      return next(new ErrorResponse("Invalid credentials", 400));
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: "Two-factor authentication disabled",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Replace recovery codes
+// @route   POST /api/v1/auth/2fa/recovery-codes
+// @access  Private
+const regenerateRecoveryCodes = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const user = await User.findById(req.user.id).select(TWO_FACTOR_FIELDS);
+
+    if (!user.twoFactorEnabled) {
+      return next(
+        new ErrorResponse("Two-factor authentication is not enabled", 400)
+      );
+    }
+
+    if (!checkSecondFactor(user, { code: req.body.code })) {
+      return next(new ErrorResponse("Invalid authentication code", 400));
+    }
+
+    const recoveryCodes = generateRecoveryCodes(user);
+    await user.save({ validateBeforeSave: false });
+
+    res.status(200).json({
+      success: true,
+      message: "Recovery codes regenerated",
+      data: {
+        recoveryCodes,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Complete login with a 2FA code
+// @route   POST /api/v1/auth/login/2fa
+// @access  Public
+const verifyTwoFactorLogin = async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    const userId = verifyChallengeToken(req.body.challengeToken);
+
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+      return next(new ErrorResponse("Invalid credentials", 401));
+    }
+
+    if (isLocked(user)) {
+      await recordLoginAttempt(req, { user, outcome: "locked" });
+      return next(
+        new ErrorResponse(
+          "Account is temporarily locked due to too many failed login attempts, please try again later",
+          423
+        )
+      );
+    }
+
+    if (!checkSecondFactor(user, req.body)) {
+      await recordLoginAttempt(req, { user, outcome: "invalid_2fa" });
+      await registerFailedLogin(user);
+      return next(new ErrorResponse("Invalid authentication code", 401));
+    }
+    await user.save({ validateBeforeSave: false });
+
+    await recordLoginAttempt(req, { user, outcome: "success" });
+    await resetFailedLogins(user);
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueAuthTokens(user._id, req);
+
+    res.status(200).json({
+      success: true,
+      message: "Login successful",
+      data: {
+        user: {
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          emailVerified: user.emailVerified,
+        },
+        token,
+        refreshToken,
+        ...(!req.body.code && {
+          recoveryCodesRemaining: user.twoFactorRecoveryCodes.length,
+        }),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin,
+};
@@ -1,5 +1,23 @@
 const User = require("../models/User");
 const Post = require("../models/Post");
+const PostRevision = require("../models/PostRevision");
+const PreviewLink = require("../models/PreviewLink");
+const PostTransition = require("../models/PostTransition");
+const Comment = require("../models/Comment");
+const Series = require("../models/Series");
+const Media = require("../models/Media");
+const Reaction = require("../models/Reaction");
+const Bookmark = require("../models/Bookmark");
+const ReadingList = require("../models/ReadingList");
+const LoginAttempt = require("../models/LoginAttempt");
+const { resetFailedLogins } = require("../utils/loginSecurity");
+const { withPostViewerState } = require("../utils/viewerState");
+const { revokeUserTokens } = require("../utils/authTokens");
+const {
+  hasPermission,
+  roleHasPermission,
+  checkCommentBan,
+} = require("../config/permissions");
 const { ErrorResponse } = require("../middlewares/errorHandler");
 
 // @desc    Get all users
@@ -100,15 +118,22 @@ const getUser = async (req, res, next) => {
 // @access  Private/Admin
 const updateUser = async (req, res, next) => {
   try {
-    const { name, email, role, isActive, bio, avatar } = req.body;
+    const { name, email, role, isActive, commentBanned, bio, avatar } =
+      req.body;
 
     const fieldsToUpdate = {};
     if (name) fieldsToUpdate.name = name;
     if (email) fieldsToUpdate.email = email;
     if (role) fieldsToUpdate.role = role;
     if (isActive !== undefined) fieldsToUpdate.isActive = isActive;
+    if (commentBanned !== undefined) {
+      fieldsToUpdate.commentBanned = commentBanned;
+    }
     if (bio) fieldsToUpdate.bio = bio;
-    if (avatar) fieldsToUpdate.avatar = avatar;
+    if (avatar) {
+      fieldsToUpdate.avatar = avatar;
+      fieldsToUpdate.$unset = { avatarMedia: 1 };
+    }
 
     const user = await User.findByIdAndUpdate(req.params.id, fieldsToUpdate, {
       new: true,
@@ -119,6 +144,10 @@ const updateUser = async (req, res, next) => {
       return next(new ErrorResponse("User not found", 404));
     }
 
+    if (commentBanned === true) {
+      await Comment.rejectPendingFrom(user._id, req.user.id);
+    }
+
     res.status(200).json({
       success: true,
       message: "User updated successfully",
@@ -147,9 +176,54 @@ const deleteUser = async (req, res, next) => {
       return next(new ErrorResponse("Cannot delete your own account", 400));
     }
 
-    // Delete user's posts
+    // Delete user's posts and their revisions
+    const posts = await Post.find({ author: user._id }).select("_id");
+    const postIds = posts.map((post) => post._id);
+    await PostRevision.deleteMany({ post: { $in: postIds } });
+    await PreviewLink.deleteMany({ post: { $in: postIds } });
+    await PostTransition.deleteMany({ post: { $in: postIds } });
+    const commentIds = await Comment.distinct("_id", {
+      post: { $in: postIds },
+    });
+    await Reaction.deleteMany({
+      target: { $in: [...postIds, ...commentIds] },
+    });
+    await Comment.deleteMany({ post: { $in: postIds } });
     await Post.deleteMany({ author: user._id });
 
+    // Take back the user's reactions elsewhere
+    await Reaction.removeUserReactions(user._id);
+
+    // Delete user's bookmarks and reading lists, and others' bookmarks of
+    // their posts
+    await Bookmark.deleteMany({
+      $or: [{ user: user._id }, { post: { $in: postIds } }],
+    });
+    await ReadingList.deleteMany({ owner: user._id });
+
+    // Delete user's series and drop their posts from other series
+    await Series.deleteMany({ owner: user._id });
+    await Series.updateMany(
+      { posts: { $in: postIds } },
+      { $pull: { posts: { $in: postIds } } }
+    );
+
+    // Remove user from other posts' co-authors
+    await Post.updateMany(
+      { "coAuthors.user": user._id },
+      { $pull: { coAuthors: { user: user._id } } }
+    );
+
+    // Delete user's uploads and unset them where others used them
+    const media = await Media.find({ owner: user._id });
+    const mediaIds = media.map((item) => item._id);
+    await Post.updateMany(
+      { featuredMedia: { $in: mediaIds } },
+      { $set: { featuredImage: "" }, $unset: { featuredMedia: 1 } }
+    );
+    await Media.deleteMany({ owner: user._id });
+    await Promise.all(media.map((item) => item.removeFiles()));
+
     // Delete user
     await User.findByIdAndDelete(req.params.id);
 
@@ -176,11 +250,14 @@ const getUserPosts = async (req, res, next) => {
       return next(new ErrorResponse("User not found", 404));
     }
 
-    // Build query - only show published posts for non-owners
-    let query = { author: req.params.id };
+    // Build query - own and co-authored posts
+    let query = Post.contributorQuery(req.params.id);
 
-    // If not the owner or admin, only show published posts
-    if (req.user?.id !== req.params.id && req.user?.role !== "admin") {
+    // If not the owner or allowed to read drafts, only show published posts
+    if (
+      req.user?.id !== req.params.id &&
+      !hasPermission(req.user, "posts:read:drafts")
+    ) {
       query.status = "published";
     }
 
@@ -196,7 +273,95 @@ const getUserPosts = async (req, res, next) => {
       count: posts.length,
       total,
       data: {
-        posts,
+        posts: await withPostViewerState(posts, req.user),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Suspend or reinstate user
+// @route   PUT /api/v1/users/:id/suspend
+// @access  Private/Moderator
+const suspendUser = async (req, res, next) => {
+  try {
+    const suspended = req.body.suspended !== false;
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return next(new ErrorResponse("User not found", 404));
+    }
+
+    if (user._id.toString() === req.user.id) {
+      return next(new ErrorResponse("Cannot suspend your own account", 400));
+    }
+
+    // Moderators cannot suspend staff with the same or more rights
+    if (
+      roleHasPermission(user.role, "users:suspend") &&
+      !hasPermission(req.user, "*")
+    ) {
+      return next(
+        new ErrorResponse("Not authorized to suspend this user", 403)
+      );
+    }
+
+    user.isActive = !suspended;
+    await user.save({ validateBeforeSave: false });
+
+    // Sign a suspended user out everywhere
+    if (suspended) {
+      await revokeUserTokens(user._id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: suspended
+        ? "User suspended successfully"
+        : "User reinstated successfully",
+      data: {
+        user,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Ban or unban a user from commenting
+// @route   PUT /api/v1/users/:id/comment-ban
+// @access  Private (Moderator/Admin)
+const banFromComments = async (req, res, next) => {
+  try {
+    const banned = req.body.banned !== false;
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return next(new ErrorResponse("User not found", 404));
+    }
+
+    const banError = checkCommentBan(req.user, user);
+    if (banError) {
+      return next(banError);
+    }
+
+    user.commentBanned = banned;
+    await user.save({ validateBeforeSave: false });
+
+    if (banned) {
+      await Comment.rejectPendingFrom(user._id, req.user.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: banned
+        ? "User banned from commenting"
+        : "User allowed to comment again",
+      data: {
+        user,
       },
     });
   } catch (error) {
@@ -204,10 +369,118 @@ const getUserPosts = async (req, res, next) => {
   }
 };
 
+// @desc    Get currently locked accounts
+// @route   GET /api/v1/users/lockouts
+// @access  Private/Admin
+const getLockouts = async (req, res, next) => {
+  try {
+    const users = await User.find({ lockUntil: { $gt: new Date() } })
+      .select("name email role lockUntil +lockCount")
+      .sort({ lockUntil: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: users.length,
+      data: {
+        users: users.map((user) => ({
+          id: user._id,
+          name: user.name,
+          email: user.email,
+          role: user.role,
+          lockUntil: user.lockUntil,
+          lockCount: user.lockCount,
+        })),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get user's recent login attempts
+// @route   GET /api/v1/users/:id/login-attempts
+// @access  Private/Admin
+const getLoginAttempts = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    const user = await User.findById(req.params.id).select(
+      "+failedLoginAttempts +lockCount"
+    );
+    if (!user) {
+      return next(new ErrorResponse("User not found", 404));
+    }
+
+    // Build query
+    let query = { user: user._id };
+
+    // Filter by outcome
+    if (req.query.outcome) {
+      query.outcome = req.query.outcome;
+    }
+
+    // Only suspicious logins
+    if (req.query.suspicious === "true") {
+      query.suspicious = true;
+    }
+
+    const total = await LoginAttempt.countDocuments(query);
+    const attempts = await LoginAttempt.find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .skip(startIndex);
+
+    res.status(200).json({
+      success: true,
+      count: attempts.length,
+      total,
+      data: {
+        lockout: {
+          lockUntil: user.lockUntil,
+          lockCount: user.lockCount,
+          failedLoginAttempts: user.failedLoginAttempts,
+        },
+        attempts,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Clear a user's lockout
+// @route   DELETE /api/v1/users/:id/lockout
+// @access  Private/Admin
+const clearLockout = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      return next(new ErrorResponse("User not found", 404));
+    }
+
+    await resetFailedLogins(user);
+
+    res.status(200).json({
+      success: true,
+      message: "Lockout cleared successfully",
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getUsers,
   getUser,
   updateUser,
   deleteUser,
   getUserPosts,
+  suspendUser,
+  banFromComments,
+  getLockouts,
+  getLoginAttempts,
+  clearLockout,
 };
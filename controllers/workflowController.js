@@ -0,0 +1,176 @@
+const { validationResult } = require("express-validator");
+const Post = require("../models/Post");
+const PostTransition = require("../models/PostTransition");
+const { can, hasPermission } = require("../config/permissions");
+const { checkTransition, isWorkflowEnabled } = require("../config/workflow");
+const { ErrorResponse } = require("../middlewares/errorHandler");
+
+// Build a handler that moves a post to a new status (or to the status
+// picked from the request) and records the change
+const statusHandler = (target, message) => async (req, res, next) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors: errors.array(),
+      });
+    }
+
+    if (!isWorkflowEnabled()) {
+      return next(
+        new ErrorResponse("The editorial workflow is not enabled", 400)
+      );
+    }
+
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return next(new ErrorResponse("Post not found", 404));
+    }
+
+    // Reviewers act on any post, authors on posts they can edit
+    if (
+      !hasPermission(req.user, "posts:review") &&
+      !can(req.user, "posts:update", post.author) &&
+      post.getCoAuthorRole(req.user.id) !== "editor"
+    ) {
+      return next(new ErrorResponse("Not authorized to update this post", 403));
+    }
+
+    const from = post.status;
+    const to = typeof target === "function" ? target(req) : target;
+
+    if (from === to) {
+      return next(new ErrorResponse(`Post is already ${to}`, 400));
+    }
+
+    const statusError = checkTransition(from, to, req.user);
+    if (statusError) {
+      return next(statusError);
+    }
+
+    post.status = to;
+    if (to === "scheduled") post.publishAt = req.body.publishAt;
+    await post.save();
+
+    const transition = await PostTransition.record(
+      post,
+      from,
+      req.user.id,
+      req.body.comment
+    );
+
+    res.status(200).json({
+      success: true,
+      message,
+      data: {
+        post: {
+          _id: post._id,
+          status: post.status,
+          publishAt: post.publishAt,
+          publishedAt: post.publishedAt,
+        },
+        transition,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Submit a post for review
+// @route   POST /api/v1/posts/:id/submit
+// @access  Private (Owner/Co-editor)
+const submitPost = statusHandler("in_review", "Post submitted for review");
+
+// @desc    Approve a post, publishing it now or scheduling it for publishAt
+// @route   POST /api/v1/posts/:id/approve
+// @access  Private (Editor/Admin)
+const approvePost = statusHandler(
+  (req) => (req.body.publishAt ? "scheduled" : "published"),
+  "Post approved"
+);
+
+// @desc    Send a post back to its authors with review comments
+// @route   POST /api/v1/posts/:id/request-changes
+// @access  Private (Editor/Admin)
+const requestChanges = statusHandler("changes_requested", "Changes requested");
+
+// @desc    Get a post's status history
+// @route   GET /api/v1/posts/:id/transitions
+// @access  Private (Owner/Co-author/Editor/Admin)
+const getTransitions = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id).select("author coAuthors");
+
+    if (!post) {
+      return next(new ErrorResponse("Post not found", 404));
+    }
+
+    if (
+      !post.isContributor(req.user.id) &&
+      !hasPermission(req.user, "posts:read:drafts")
+    ) {
+      return next(
+        new ErrorResponse("Not authorized to view this post's history", 403)
+      );
+    }
+
+    const transitions = await PostTransition.find({ post: post._id })
+      .populate("user", "name avatar")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      count: transitions.length,
+      data: {
+        transitions,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get posts waiting for review, oldest first
+// @route   GET /api/v1/posts/review/queue
+// @access  Private (Editor/Admin)
+const getReviewQueue = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 10;
+    const startIndex = (page - 1) * limit;
+
+    const query = { status: "in_review" };
+
+    const total = await Post.countDocuments(query);
+    const posts = await Post.find(query)
+      .populate("author", "name avatar")
+      .sort({ updatedAt: 1 })
+      .limit(limit)
+      .skip(startIndex)
+      .select("-contentHtml -toc");
+
+    res.status(200).json({
+      success: true,
+      count: posts.length,
+      total,
+      data: {
+        posts,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  submitPost,
+  approvePost,
+  requestChanges,
+  getTransitions,
+  getReviewQueue,
+};
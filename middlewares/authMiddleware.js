@@ -1,10 +1,77 @@
 const jwt = require("jsonwebtoken");
 const User = require("../models/User");
+const ApiKey = require("../models/ApiKey");
+const { getActiveSession, hashToken } = require("../utils/authTokens");
+const { hasPermission, needsTwoFactor } = require("../config/permissions");
 
-// Protect routes - verify JWT token
+// Only write last-used details once per minute per key
+const API_KEY_TOUCH_INTERVAL = 60 * 1000;
+
+// Look up the API key from the X-API-Key header and its user.
+// Returns null unless both are valid.
+const resolveApiKey = async (req) => {
+  const apiKey = await ApiKey.findOne({
+    keyHash: hashToken(req.headers["x-api-key"]),
+    revokedAt: null,
+  });
+
+  if (!apiKey || (apiKey.expiresAt && apiKey.expiresAt <= new Date())) {
+    return null;
+  }
+
+  const user = await User.findById(apiKey.user).select("-password");
+  if (!user || !user.isActive) {
+    return null;
+  }
+
+  if (
+    !apiKey.lastUsedAt ||
+    Date.now() - apiKey.lastUsedAt.getTime() > API_KEY_TOUCH_INTERVAL
+  ) {
+    await ApiKey.updateOne(
+      { _id: apiKey._id },
+      { lastUsedAt: new Date(), lastUsedIp: req.ip }
+    );
+  }
+
+  return { apiKey, user };
+};
+
+// Authenticate with a personal API key
+const authenticateApiKey = async (req, res, next) => {
+  try {
+    const resolved = await resolveApiKey(req);
+
+    if (!resolved) {
+      return res.status(401).json({
+        success: false,
+        message: "Not authorized, invalid API key",
+      });
+    }
+
+    req.user = resolved.user;
+    req.apiKey = resolved.apiKey;
+    next();
+  } catch (error) {
+    console.error("API key verification error:", error);
+    return res.status(401).json({
+      success: false,
+      message: "Not authorized, invalid API key",
+    });
+  }
+};
+
+// Protect routes - verify JWT token or API key
 const protect = async (req, res, next) => {
   let token;
 
+  if (
+    !(req.headers.authorization || "").startsWith("Bearer") &&
+    req.headers["x-api-key"]
+  ) {
+    return authenticateApiKey(req, res, next);
+  }
+
   if (
     req.headers.authorization &&
     req.headers.authorization.startsWith("Bearer")
@@ -16,6 +83,16 @@ const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Reject tokens from sessions that were revoked or expired
+      const session = await getActiveSession(decoded.sid, req.ip);
+      if (!session || session.user.toString() !== decoded.id) {
+        return res.status(401).json({
+          success: false,
+          message: "Not authorized, session revoked",
+        });
+      }
+      req.sessionId = session._id.toString();
+
       // Get user from token
       req.user = await User.findById(decoded.id).select("-password");
 
@@ -51,9 +128,52 @@ const protect = async (req, res, next) => {
   }
 };
 
+// Attach the user when valid credentials are sent, otherwise continue
+// anonymously. For public routes whose output depends on the viewer.
+const optionalAuth = async (req, res, next) => {
+  try {
+    const authorization = req.headers.authorization || "";
+
+    if (authorization.startsWith("Bearer")) {
+      const token = authorization.split(" ")[1];
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      const session = await getActiveSession(decoded.sid, req.ip);
+      if (session && session.user.toString() === decoded.id) {
+        const user = await User.findById(decoded.id).select("-password");
+
+        if (user && user.isActive) {
+          req.user = user;
+          req.sessionId = session._id.toString();
+        }
+      }
+    } else if (req.headers["x-api-key"]) {
+      const resolved = await resolveApiKey(req);
+
+      // Keys only see private content with the read scope
+      if (resolved && resolved.apiKey.scopes.includes("posts:read")) {
+        req.user = resolved.user;
+        req.apiKey = resolved.apiKey;
+      }
+    }
+  } catch (error) {
+    // Invalid or expired credentials are treated as anonymous
+  }
+
+  next();
+};
+
 // Admin access middleware
 const admin = (req, res, next) => {
   if (req.user && req.user.role === "admin") {
+    if (needsTwoFactor(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message:
+          "Two-factor authentication is required for admin accounts, please enable it first",
+      });
+    }
+
     next();
   } else {
     res.status(403).json({
@@ -63,8 +183,8 @@ const admin = (req, res, next) => {
   }
 };
 
-// Check if user owns the resource or is admin
-const authorize = (...roles) => {
+// Check that the user's role grants every given permission
+const authorize = (...permissions) => {
   return (req, res, next) => {
     if (!req.user) {
       return res.status(401).json({
@@ -73,7 +193,9 @@ const authorize = (...roles) => {
       });
     }
 
-    if (roles.includes(req.user.role)) {
+    if (
+      permissions.every((permission) => hasPermission(req.user, permission))
+    ) {
       next();
     } else {
       res.status(403).json({
@@ -84,4 +206,53 @@ const authorize = (...roles) => {
   };
 };
 
-module.exports = { protect, admin, authorize };
+// Require API key requests to carry a scope; other logins pass through
+const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (req.apiKey && !req.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        message: `API key is missing the ${scope} scope`,
+      });
+    }
+
+    next();
+  };
+};
+
+// Refuse API keys on routes that need a full login
+const rejectApiKey = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      message: "This route cannot be used with an API key",
+    });
+  }
+
+  next();
+};
+
+// Block unverified accounts when REQUIRE_EMAIL_VERIFICATION is enabled
+const requireVerifiedEmail = (req, res, next) => {
+  if (
+    process.env.REQUIRE_EMAIL_VERIFICATION === "true" &&
+    !req.user.emailVerified
+  ) {
+    return res.status(403).json({
+      success: false,
+      message: "Please verify your email address first",
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  protect,
+  optionalAuth,
+  admin,
+  authorize,
+  requireScope,
+  rejectApiKey,
+  requireVerifiedEmail,
+};
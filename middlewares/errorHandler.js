@@ -22,7 +22,10 @@ const errorHandler = (err, req, res, next) => {
 
   // Mongoose duplicate key
   if (err.code === 11000) {
-    const message = "Duplicate field value entered";
+    const field = Object.keys(err.keyValue || {})[0];
+    const message = field
+      ? `Duplicate value for ${field}, please use another value`
+      : "Duplicate field value entered";
     error = new ErrorResponse(message, 400);
   }
 
@@ -32,6 +35,13 @@ const errorHandler = (err, req, res, next) => {
     error = new ErrorResponse(message, 400);
   }
 
+  // Upload errors
+  if (err.name === "MulterError") {
+    const message =
+      err.code === "LIMIT_FILE_SIZE" ? "File is too large" : err.message;
+    error = new ErrorResponse(message, 400);
+  }
+
   // JWT errors
   if (err.name === "JsonWebTokenError") {
     const message = "Invalid token";
@@ -0,0 +1,43 @@
+const multer = require("multer");
+const { IMAGE_FORMATS } = require("../utils/imageProcessing");
+const { ErrorResponse } = require("./errorHandler");
+
+const ALLOWED_TYPES = Object.values(IMAGE_FORMATS).map(
+  (format) => format.contentType
+);
+
+const maxUploadSize = () =>
+  (parseInt(process.env.MAX_UPLOAD_SIZE_MB, 10) || 5) * 1024 * 1024;
+
+// Single image in the "file" field, kept in memory for processing. The
+// declared type is only a first filter; the content is checked again
+// when the image is processed.
+const uploadImage = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: maxUploadSize(), files: 1 },
+    fileFilter: (req, file, cb) => {
+      if (!ALLOWED_TYPES.includes(file.mimetype)) {
+        return cb(
+          new ErrorResponse(
+            `Unsupported file type, use one of: ${ALLOWED_TYPES.join(", ")}`,
+            400
+          )
+        );
+      }
+      cb(null, true);
+    },
+  }).single("file");
+
+  upload(req, res, (error) => {
+    if (error) return next(error);
+
+    if (!req.file) {
+      return next(new ErrorResponse("An image file is required", 400));
+    }
+
+    next();
+  });
+};
+
+module.exports = { uploadImage, maxUploadSize };
@@ -0,0 +1,64 @@
+const mongoose = require("mongoose");
+
+const API_KEY_SCOPES = ["posts:read", "posts:write", "comments:write"];
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: [50, "Name cannot be more than 50 characters"],
+    },
+    // First characters of the key, shown so users can tell keys apart
+    prefix: {
+      type: String,
+      required: true,
+    },
+    // Only the SHA-256 hash of the key is stored
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: API_KEY_SCOPES,
+        },
+      ],
+      validate: [
+        (scopes) => scopes.length > 0,
+        "At least one scope is required",
+      ],
+    },
+    expiresAt: {
+      type: Date,
+    },
+    lastUsedAt: {
+      type: Date,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+apiKeySchema.statics.scopes = API_KEY_SCOPES;
+
+apiKeySchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
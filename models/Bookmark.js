@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// A saved post: a plain bookmark, or an entry in one of the user's
+// reading lists
+const bookmarkSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    // Unset for plain bookmarks
+    list: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ReadingList",
+      default: null,
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Note cannot be more than 500 characters"],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A post is saved at most once per list (or once as a plain bookmark)
+bookmarkSchema.index({ user: 1, list: 1, post: 1 }, { unique: true });
+bookmarkSchema.index({ list: 1, createdAt: -1 });
+bookmarkSchema.index({ post: 1 });
+
+// Ids of the posts a user has saved anywhere, as strings
+bookmarkSchema.statics.savedPostIds = async function (postIds, user) {
+  if (!user || postIds.length === 0) return new Set();
+
+  const saved = await this.distinct("post", {
+    user: user.id,
+    post: { $in: postIds },
+  });
+  return new Set(saved.map((id) => id.toString()));
+};
+
+module.exports = mongoose.model("Bookmark", bookmarkSchema);
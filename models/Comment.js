@@ -0,0 +1,175 @@
+const mongoose = require("mongoose");
+const Reaction = require("./Reaction");
+
+const MODERATION_STATUSES = ["pending", "approved", "rejected", "spam"];
+const REPORT_REASONS = ["spam", "harassment", "hate", "off_topic", "other"];
+
+const commentSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    text: {
+      type: String,
+      // Deleted comments that still have replies keep no text
+      required: [
+        function () {
+          return !this.isDeleted;
+        },
+        "Comment text is required",
+      ],
+      trim: true,
+      maxlength: [500, "Comment cannot be more than 500 characters"],
+    },
+    // Comment this one replies to; unset for top-level comments
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Comment",
+      default: null,
+    },
+    // 0 for top-level comments, parent's depth + 1 for replies
+    depth: {
+      type: Number,
+      default: 0,
+    },
+    replyCount: {
+      type: Number,
+      default: 0,
+    },
+    // Only approved comments are shown to readers
+    status: {
+      type: String,
+      enum: MODERATION_STATUSES,
+      default: "approved",
+    },
+    // Spam rules that fired when the comment was posted
+    spamScore: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    spamReasons: {
+      type: [String],
+      select: false,
+    },
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    moderatedAt: {
+      type: Date,
+    },
+    reports: {
+      type: [
+        {
+          _id: false,
+          user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+          },
+          reason: {
+            type: String,
+            enum: REPORT_REASONS,
+            required: true,
+          },
+          details: {
+            type: String,
+            maxlength: [500, "Details cannot be more than 500 characters"],
+          },
+          createdAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+      select: false,
+    },
+    reportCount: {
+      type: Number,
+      default: 0,
+    },
+    // Earlier versions of the text, oldest first
+    edits: {
+      type: [
+        {
+          _id: false,
+          text: String,
+          editedAt: {
+            type: Date,
+            default: Date.now,
+          },
+        },
+      ],
+      select: false,
+    },
+    // Last change to the text; only set by edits, unlike updatedAt, which
+    // also moves with replies, reports and reactions
+    editedAt: {
+      type: Date,
+    },
+    reactionCounts: Reaction.countsDefinition(),
+    reactionCount: {
+      type: Number,
+      default: 0,
+    },
+    // Deleted comments with replies stay behind so the thread keeps
+    // its shape
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+commentSchema.index({ post: 1, parent: 1, createdAt: -1 });
+commentSchema.index({ user: 1, createdAt: -1 });
+commentSchema.index({ status: 1, createdAt: 1 });
+commentSchema.index({ reportCount: -1 });
+
+commentSchema.statics.statuses = MODERATION_STATUSES;
+commentSchema.statics.reportReasons = REPORT_REASONS;
+
+// Keep the post's commentCount and the parent's replyCount in step when
+// an approved comment appears (1) or goes away (-1)
+commentSchema.statics.adjustCounts = async function (comment, delta) {
+  await mongoose
+    .model("Post")
+    .updateOne({ _id: comment.post }, { $inc: { commentCount: delta } });
+
+  if (comment.parent) {
+    await this.updateOne(
+      { _id: comment.parent },
+      { $inc: { replyCount: delta } }
+    );
+  }
+};
+
+// Reject a banned user's comments still waiting for moderation, so they
+// never show up. Pending comments are not counted, so counters stay put.
+commentSchema.statics.rejectPendingFrom = function (userId, moderatorId) {
+  return this.updateMany(
+    { user: userId, status: "pending" },
+    { status: "rejected", moderatedBy: moderatorId, moderatedAt: new Date() }
+  );
+};
+
+// Placeholders don't reveal who wrote the deleted comment
+commentSchema.methods.toJSON = function () {
+  const comment = this.toObject();
+  if (comment.isDeleted) delete comment.user;
+  comment.edited = Boolean(comment.editedAt);
+  return comment;
+};
+
+module.exports = mongoose.model("Comment", commentSchema);
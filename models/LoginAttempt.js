@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    // Unset when the email did not match an account
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    outcome: {
+      type: String,
+      enum: [
+        "success",
+        "invalid_password",
+        "invalid_2fa",
+        "unknown_user",
+        "locked",
+        "deactivated",
+      ],
+      required: true,
+    },
+    // Successful login from an IP this account never logged in from before
+    suspicious: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+// Keep attempts for 30 days
+loginAttemptSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: 30 * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model("LoginAttempt", loginAttemptSchema);
@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+const { getStorage } = require("../utils/mediaStorage");
+
+const fileSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+    },
+    // Storage key, used to delete the file
+    key: {
+      type: String,
+      required: true,
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    contentType: String,
+    width: Number,
+    height: Number,
+    size: Number,
+  },
+  { _id: false }
+);
+
+const mediaSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Adapter the files were stored with
+    storage: {
+      type: String,
+      required: true,
+    },
+    originalName: {
+      type: String,
+    },
+    alt: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Alt text cannot be more than 200 characters"],
+    },
+    original: {
+      type: fileSchema,
+      required: true,
+    },
+    // Resized copies (thumbnail, medium, large)
+    variants: [fileSchema],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+mediaSchema.index({ owner: 1, createdAt: -1 });
+
+// URL of a variant, falling back to the original
+mediaSchema.methods.urlFor = function (name) {
+  const variant = this.variants.find((entry) => entry.name === name);
+  return (variant || this.original).url;
+};
+
+// Delete every stored file of this media item
+mediaSchema.methods.removeFiles = async function () {
+  const storage = getStorage(this.storage);
+  const files = [this.original, ...this.variants].filter(Boolean);
+
+  await Promise.all(files.map((file) => storage.remove(file.key)));
+};
+
+module.exports = mongoose.model("Media", mediaSchema);
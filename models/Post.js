@@ -1,4 +1,18 @@
 const mongoose = require("mongoose");
+const {
+  CONTENT_FORMATS,
+  renderContent,
+  buildExcerpt,
+} = require("../utils/renderContent");
+const {
+  SLUG_PATTERN,
+  MAX_SLUG_LENGTH,
+  toSlug,
+  findAvailableSlug,
+} = require("../utils/slug");
+const { STATUSES } = require("../config/workflow");
+const { hasPermission } = require("../config/permissions");
+const Reaction = require("./Reaction");
 
 const postSchema = new mongoose.Schema(
   {
@@ -12,23 +26,96 @@ const postSchema = new mongoose.Schema(
       type: String,
       required: [true, "Content is required"],
     },
+    contentFormat: {
+      type: String,
+      enum: CONTENT_FORMATS,
+      default: "markdown",
+    },
+    // Sanitized HTML rendered from content
+    contentHtml: {
+      type: String,
+    },
+    // Table of contents built from the rendered headings
+    toc: [
+      {
+        _id: false,
+        level: Number,
+        text: String,
+        id: String,
+      },
+    ],
     excerpt: {
       type: String,
       maxlength: [300, "Excerpt cannot be more than 300 characters"],
     },
+    // Excerpt was derived from the content, not written by the author
+    autoExcerpt: {
+      type: Boolean,
+      default: false,
+    },
     slug: {
       type: String,
       unique: true,
       lowercase: true,
+      trim: true,
+      maxlength: [
+        MAX_SLUG_LENGTH,
+        `Slug cannot be more than ${MAX_SLUG_LENGTH} characters`,
+      ],
+      match: [
+        SLUG_PATTERN,
+        "Slug may only contain lowercase letters, numbers and hyphens",
+      ],
     },
+    // Slug was chosen by the author and does not follow the title
+    customSlug: {
+      type: Boolean,
+      default: false,
+    },
+    // Earlier slugs, answered with a redirect to the current one
+    previousSlugs: [
+      {
+        type: String,
+      },
+    ],
     author: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "User",
       required: true,
     },
+    coAuthors: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+          required: true,
+        },
+        // Editors can change the post, reviewers can only read drafts
+        role: {
+          type: String,
+          enum: ["editor", "reviewer"],
+          default: "editor",
+        },
+        // Invitations count once the invited user accepts
+        status: {
+          type: String,
+          enum: ["pending", "accepted"],
+          default: "pending",
+        },
+        invitedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "User",
+        },
+        invitedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     status: {
       type: String,
-      enum: ["draft", "published", "archived"],
+      enum: STATUSES,
       default: "draft",
     },
     tags: [
@@ -47,6 +134,11 @@ const postSchema = new mongoose.Schema(
       type: String,
       default: "",
     },
+    // Uploaded image behind featuredImage, if any
+    featuredMedia: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Media",
+    },
     readTime: {
       type: Number,
       default: 0,
@@ -55,49 +147,181 @@ const postSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
-    likes: [
-      {
-        user: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: "User",
-        },
-      },
-    ],
-    comments: [
-      {
-        user: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: "User",
-          required: true,
-        },
-        text: {
-          type: String,
-          required: true,
-          maxlength: [500, "Comment cannot be more than 500 characters"],
-        },
-        createdAt: {
-          type: Date,
-          default: Date.now,
-        },
-      },
-    ],
+    // Reactions live in their own collection; these count them per type
+    // and in total
+    reactionCounts: Reaction.countsDefinition(),
+    reactionCount: {
+      type: Number,
+      default: 0,
+    },
+    // Comments live in their own collection; this counts the approved
+    // ones and is kept in step with it
+    commentCount: {
+      type: Number,
+      default: 0,
+    },
+    // No new comments at all
+    commentsClosed: {
+      type: Boolean,
+      default: false,
+    },
+    // New comments wait for a moderator
+    holdComments: {
+      type: Boolean,
+      default: false,
+    },
     publishedAt: {
       type: Date,
     },
+    // When a scheduled post goes live
+    publishAt: {
+      type: Date,
+    },
   },
   {
     timestamps: true,
   }
 );
 
-// Create slug from title before saving
+// Posts a user owns or has accepted a co-author invitation for, optionally
+// only invitations with the given role
+postSchema.statics.contributorQuery = function (userId, role) {
+  const coAuthor = { user: userId, status: "accepted" };
+  if (role) coAuthor.role = role;
+
+  return {
+    $or: [{ author: userId }, { coAuthors: { $elemMatch: coAuthor } }],
+  };
+};
+
+// Accepted co-author role of a user on this post, or null
+postSchema.methods.getCoAuthorRole = function (userId) {
+  const coAuthor = this.coAuthors.find(
+    (entry) =>
+      (entry.user._id || entry.user).toString() === String(userId) &&
+      entry.status === "accepted"
+  );
+
+  return coAuthor ? coAuthor.role : null;
+};
+
+// Owner or accepted co-author
+postSchema.methods.isContributor = function (userId) {
+  return (
+    (this.author._id || this.author).toString() === String(userId) ||
+    this.getCoAuthorRole(userId) !== null
+  );
+};
+
+// Published, or readable by this user as a contributor or draft reader
+postSchema.methods.isVisibleTo = function (user) {
+  return (
+    this.status === "published" ||
+    (Boolean(user) &&
+      (this.isContributor(user.id) || hasPermission(user, "posts:read:drafts")))
+  );
+};
+
+// Render content to HTML/TOC and derive the excerpt when the author
+// has not written one
+postSchema.methods.renderContent = function () {
+  const { contentHtml, toc, text } = renderContent(
+    this.content,
+    this.contentFormat
+  );
+
+  this.contentHtml = contentHtml;
+  this.toc = toc;
+
+  if (!this.excerpt || this.autoExcerpt) {
+    this.excerpt = buildExcerpt(text);
+    this.autoExcerpt = true;
+    this.$locals.generatedExcerpt = this.excerpt;
+  }
+};
+
+// Whether a slug is used by another post, now or in the past
+postSchema.statics.isSlugTaken = async function (slug, excludeId) {
+  const taken = await this.exists({
+    _id: { $ne: excludeId },
+    $or: [{ slug }, { previousSlugs: slug }],
+  });
+
+  return Boolean(taken);
+};
+
+// First free slug from a base: base, base-2, base-3...
+postSchema.statics.findAvailableSlug = function (base, excludeId) {
+  return findAvailableSlug(this, base, excludeId, ["slug", "previousSlugs"]);
+};
+
+// Remember the stored slug so a change can be added to the history
+postSchema.post("init", function () {
+  this.$locals.loadedSlug = this.slug;
+});
+
+postSchema.post("save", function () {
+  this.$locals.loadedSlug = this.slug;
+});
+
+// Fields the server keeps; a new post always starts with counters at
+// zero, comments open without a hold and no publish date, whatever it
+// was created with
+postSchema.pre("validate", function () {
+  if (!this.isNew) return;
+
+  this.views = 0;
+  this.commentCount = 0;
+  this.commentsClosed = false;
+  this.holdComments = false;
+  this.publishedAt = undefined;
+  this.reactionCount = 0;
+  Reaction.types.forEach((type) => {
+    this.reactionCounts[type] = 0;
+  });
+});
+
+// Pick a unique slug and keep the slug history
+postSchema.pre("validate", async function () {
+  const Post = this.constructor;
+
+  if (this.customSlug && this.isModified("slug")) {
+    if (await Post.isSlugTaken(this.slug, this._id)) {
+      this.invalidate("slug", "Slug is already in use", this.slug);
+      return;
+    }
+  } else if (!this.slug || (this.isModified("title") && !this.customSlug)) {
+    this.slug = await Post.findAvailableSlug(
+      toSlug(this.title, "post"),
+      this._id
+    );
+  }
+
+  const loadedSlug = this.$locals.loadedSlug;
+  if (loadedSlug && loadedSlug !== this.slug) {
+    this.previousSlugs.addToSet(loadedSlug);
+  }
+  // Going back to an old slug makes it current again
+  this.previousSlugs.pull(this.slug);
+});
+
+// Derived fields before saving
 postSchema.pre("save", function (next) {
-  if (this.isModified("title")) {
-    this.slug = this.title
-      .toLowerCase()
-      .replace(/[^a-zA-Z0-9 ]/g, "")
-      .replace(/\s+/g, "-")
-      .trim("-");
+  // An excerpt written by the author is never overwritten
+  if (
+    this.isModified("excerpt") &&
+    this.excerpt &&
+    this.excerpt !== this.$locals.generatedExcerpt
+  ) {
+    this.autoExcerpt = false;
+  }
+
+  if (
+    this.isModified("content") ||
+    this.isModified("contentFormat") ||
+    !this.contentHtml
+  ) {
+    this.renderContent();
   }
 
   // Calculate read time (average 200 words per minute)
@@ -118,9 +342,55 @@ postSchema.pre("save", function (next) {
   next();
 });
 
+// findByIdAndUpdate skips the save hook, so render here when the
+// update touches content, its format or the excerpt
+postSchema.pre("findOneAndUpdate", async function () {
+  const update = this.getUpdate();
+
+  // Rendered fields are only ever computed here
+  ["contentHtml", "toc", "autoExcerpt"].forEach((field) => {
+    delete update[field];
+    if (update.$set) delete update.$set[field];
+  });
+
+  const fields = { ...update, ...update.$set };
+
+  if (
+    fields.content === undefined &&
+    fields.contentFormat === undefined &&
+    fields.excerpt === undefined
+  ) {
+    return;
+  }
+
+  const current = await this.model
+    .findOne(this.getQuery())
+    .select("content contentFormat excerpt autoExcerpt");
+  if (!current) return;
+
+  ["content", "contentFormat", "excerpt"].forEach((field) => {
+    if (fields[field] !== undefined) current[field] = fields[field];
+  });
+  if (fields.excerpt) current.autoExcerpt = false;
+
+  current.renderContent();
+
+  this.set({
+    contentHtml: current.contentHtml,
+    toc: current.toc,
+    excerpt: current.excerpt,
+    autoExcerpt: current.autoExcerpt,
+  });
+});
+
 // Index for better search performance
 postSchema.index({ title: "text", content: "text" });
 postSchema.index({ author: 1, status: 1 });
+postSchema.index({ "coAuthors.user": 1 });
 postSchema.index({ publishedAt: -1 });
+postSchema.index({ status: 1, publishAt: 1 });
+postSchema.index({ previousSlugs: 1 });
+postSchema.index({ status: 1, "reactionCounts.like": -1 });
+postSchema.index({ status: 1, reactionCount: -1 });
 
 module.exports = mongoose.model("Post", postSchema);
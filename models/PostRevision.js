@@ -0,0 +1,105 @@
+const mongoose = require("mongoose");
+
+// Fields whose changes are kept as revisions
+const REVISION_FIELDS = [
+  "title",
+  "content",
+  "contentFormat",
+  "excerpt",
+  "tags",
+];
+
+const postRevisionSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    // 1, 2, 3... per post
+    number: {
+      type: Number,
+      required: true,
+    },
+    title: {
+      type: String,
+    },
+    content: {
+      type: String,
+    },
+    // Unset on revisions saved before content formats existed
+    contentFormat: {
+      type: String,
+    },
+    excerpt: {
+      type: String,
+    },
+    // Excerpt was generated from the content rather than written
+    autoExcerpt: {
+      type: Boolean,
+    },
+    tags: [
+      {
+        type: String,
+      },
+    ],
+    editor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Revision number this one was restored from
+    restoredFrom: {
+      type: Number,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+postRevisionSchema.index({ post: 1, number: -1 }, { unique: true });
+
+postRevisionSchema.statics.fields = REVISION_FIELDS;
+
+// Whether any tracked field differs between two post states
+postRevisionSchema.statics.hasChanges = function (before, after) {
+  return REVISION_FIELDS.some(
+    (field) =>
+      JSON.stringify(before[field] ?? null) !==
+      JSON.stringify(after[field] ?? null)
+  );
+};
+
+// How often record() picks a new number after losing a race for one
+const MAX_RECORD_ATTEMPTS = 5;
+
+// Save the current state of a post as its next revision. Two saves at
+// once can pick the same number; the unique index rejects the second,
+// which then takes the next free number.
+postRevisionSchema.statics.record = async function (post, editorId, extra) {
+  const snapshot = {};
+  REVISION_FIELDS.forEach((field) => {
+    snapshot[field] = post[field];
+  });
+  snapshot.autoExcerpt = post.autoExcerpt;
+
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findOne({ post: post._id })
+      .sort({ number: -1 })
+      .select("number");
+
+    try {
+      return await this.create({
+        ...snapshot,
+        ...extra,
+        post: post._id,
+        number: latest ? latest.number + 1 : 1,
+        editor: editorId,
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_RECORD_ATTEMPTS) throw error;
+    }
+  }
+};
+
+module.exports = mongoose.model("PostRevision", postRevisionSchema);
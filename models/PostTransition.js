@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+const { STATUSES } = require("../config/workflow");
+
+// One status change of a post, with the reviewer's comment if any
+const postTransitionSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    // Unset for the post's first status
+    from: {
+      type: String,
+      enum: STATUSES,
+    },
+    to: {
+      type: String,
+      enum: STATUSES,
+      required: true,
+    },
+    // Unset when the scheduler published the post
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: [2000, "Comment cannot be more than 2000 characters"],
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+postTransitionSchema.index({ post: 1, createdAt: -1 });
+
+// Record a status change
+postTransitionSchema.statics.record = function (post, from, userId, comment) {
+  return this.create({
+    post: post._id,
+    from,
+    to: post.status,
+    user: userId,
+    comment,
+  });
+};
+
+module.exports = mongoose.model("PostTransition", postTransitionSchema);
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+const INACTIVE_RETENTION_DAYS = 30;
+
+const previewLinkSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Post",
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Optional label so authors can tell links apart, e.g. the reviewer
+    name: {
+      type: String,
+      trim: true,
+      maxlength: [50, "Name cannot be more than 50 characters"],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+    lastViewedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+previewLinkSchema.index({ post: 1, createdAt: -1 });
+// Expired links stay listable for a while, then MongoDB removes them
+previewLinkSchema.index(
+  { expiresAt: 1 },
+  { expireAfterSeconds: INACTIVE_RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+previewLinkSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+module.exports = mongoose.model("PreviewLink", previewLinkSchema);
@@ -0,0 +1,149 @@
+const mongoose = require("mongoose");
+
+const REACTION_TYPES = ["like", "love", "laugh", "wow", "sad", "celebrate"];
+const TARGET_TYPES = ["Post", "Comment"];
+
+// Per-type counters kept on posts and comments, so lists can show and
+// sort by them without counting reactions
+const reactionCountsDefinition = () =>
+  Object.fromEntries(
+    REACTION_TYPES.map((type) => [type, { type: Number, default: 0 }])
+  );
+
+const reactionSchema = new mongoose.Schema(
+  {
+    targetType: {
+      type: String,
+      enum: TARGET_TYPES,
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "targetType",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: REACTION_TYPES,
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// A user gives each reaction type at most once per post or comment
+reactionSchema.index({ target: 1, user: 1, type: 1 }, { unique: true });
+reactionSchema.index({ user: 1 });
+
+reactionSchema.statics.types = REACTION_TYPES;
+reactionSchema.statics.countsDefinition = reactionCountsDefinition;
+
+const countUpdate = (type, delta) => ({
+  $inc: { [`reactionCounts.${type}`]: delta, reactionCount: delta },
+});
+
+// Add a reaction and bump the target's counters; false if the user had
+// already given it. The counters only move when this call's upsert
+// inserted the reaction, so repeated or concurrent requests never count
+// twice; the unique index settles upserts racing each other.
+reactionSchema.statics.addReaction = async function (
+  targetType,
+  target,
+  userId,
+  type
+) {
+  let result;
+  try {
+    result = await this.updateOne(
+      { target, user: userId, type },
+      { $setOnInsert: { targetType } },
+      { upsert: true }
+    );
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+  if (result.upsertedCount === 0) return false;
+
+  await mongoose
+    .model(targetType)
+    .updateOne({ _id: target }, countUpdate(type, 1));
+  return true;
+};
+
+// Take a reaction back; false if the user hadn't given it. As with
+// adding, only the call that deleted the reaction moves the counters.
+reactionSchema.statics.removeReaction = async function (
+  targetType,
+  target,
+  userId,
+  type
+) {
+  const result = await this.deleteOne({ target, user: userId, type });
+  if (result.deletedCount === 0) return false;
+
+  await mongoose
+    .model(targetType)
+    .updateOne({ _id: target }, countUpdate(type, -1));
+  return true;
+};
+
+// Set a target's counters from the reactions it actually has, e.g. after
+// the server stopped between saving a reaction and counting it; returns
+// the new counters
+reactionSchema.statics.recount = async function (targetType, target) {
+  const counts = await this.aggregate([
+    { $match: { target } },
+    { $group: { _id: "$type", count: { $sum: 1 } } },
+  ]);
+
+  const update = { reactionCount: 0 };
+  for (const type of REACTION_TYPES) {
+    const found = counts.find((count) => count._id === type);
+    update[`reactionCounts.${type}`] = found ? found.count : 0;
+    update.reactionCount += found ? found.count : 0;
+  }
+
+  await mongoose.model(targetType).updateOne({ _id: target }, { $set: update });
+  return update;
+};
+
+// Take back everything a user reacted with, keeping counters in step
+reactionSchema.statics.removeUserReactions = async function (userId) {
+  const reactions = await this.find({ user: userId });
+
+  for (const reaction of reactions) {
+    await this.removeReaction(
+      reaction.targetType,
+      reaction.target,
+      userId,
+      reaction.type
+    );
+  }
+};
+
+// Reaction types a user gave to each of the targets, by target id
+reactionSchema.statics.forViewer = async function (targetIds, user) {
+  const given = new Map(targetIds.map((id) => [id.toString(), []]));
+  if (!user || targetIds.length === 0) return given;
+
+  const reactions = await this.find({
+    target: { $in: targetIds },
+    user: user.id,
+  }).select("target type");
+
+  for (const reaction of reactions) {
+    given.get(reaction.target.toString()).push(reaction.type);
+  }
+
+  return given;
+};
+
+module.exports = mongoose.model("Reaction", reactionSchema);
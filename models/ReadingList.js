@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+
+const readingListSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+      maxlength: [50, "Name cannot be more than 50 characters"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, "Description cannot be more than 200 characters"],
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Private lists are only visible to their owner
+    isPublic: {
+      type: Boolean,
+      default: false,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+readingListSchema.index({ owner: 1, name: 1 }, { unique: true });
+
+// Public lists are visible to everyone, private ones to their owner
+readingListSchema.methods.isVisibleTo = function (user) {
+  const ownerId = this.owner._id || this.owner;
+  return this.isPublic || Boolean(user && ownerId.equals(user.id));
+};
+
+module.exports = mongoose.model("ReadingList", readingListSchema);
@@ -0,0 +1,91 @@
+const mongoose = require("mongoose");
+const {
+  SLUG_PATTERN,
+  MAX_SLUG_LENGTH,
+  toSlug,
+  findAvailableSlug,
+} = require("../utils/slug");
+
+const seriesSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, "Title is required"],
+      trim: true,
+      maxlength: [100, "Title cannot be more than 100 characters"],
+    },
+    description: {
+      type: String,
+      maxlength: [500, "Description cannot be more than 500 characters"],
+    },
+    slug: {
+      type: String,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      maxlength: [
+        MAX_SLUG_LENGTH,
+        `Slug cannot be more than ${MAX_SLUG_LENGTH} characters`,
+      ],
+      match: [
+        SLUG_PATTERN,
+        "Slug may only contain lowercase letters, numbers and hyphens",
+      ],
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+    },
+    // Posts in reading order; a post belongs to at most one series
+    posts: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Post",
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Series containing a post, used for previous/next navigation. Unique so
+// a post can't end up in two series when they are saved at once; series
+// without posts are left out, as they would all share the empty key.
+seriesSchema.index(
+  { posts: 1 },
+  { unique: true, partialFilterExpression: { posts: { $type: "objectId" } } }
+);
+seriesSchema.index({ owner: 1, createdAt: -1 });
+
+// First free slug from a base: base, base-2, base-3...
+seriesSchema.statics.findAvailableSlug = function (base, excludeId) {
+  return findAvailableSlug(this, base, excludeId);
+};
+
+// Position of a post in the series, or -1
+seriesSchema.methods.indexOfPost = function (postId) {
+  return this.posts.findIndex(
+    (id) => (id._id || id).toString() === String(postId)
+  );
+};
+
+// Slugs come from the title unless one was given, and stay put after that
+// so links keep working
+seriesSchema.pre("validate", async function () {
+  const Series = this.constructor;
+
+  if (this.slug && this.isModified("slug")) {
+    if (await Series.exists({ _id: { $ne: this._id }, slug: this.slug })) {
+      this.invalidate("slug", "Slug is already in use", this.slug);
+    }
+  } else if (!this.slug) {
+    this.slug = await Series.findAvailableSlug(
+      toSlug(this.title, "series"),
+      this._id
+    );
+  }
+});
+
+module.exports = mongoose.model("Series", seriesSchema);
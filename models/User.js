@@ -1,5 +1,7 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const { ROLES } = require("../config/permissions");
 
 const userSchema = new mongoose.Schema(
   {
@@ -27,31 +29,123 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["user", "admin"],
+      enum: ROLES,
       default: "user",
     },
     avatar: {
       type: String,
       default: "",
     },
+    // Uploaded image behind avatar, if any
+    avatarMedia: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Media",
+    },
     bio: {
       type: String,
       maxlength: [500, "Bio cannot be more than 500 characters"],
     },
+    // Banned by a moderator from writing comments
+    commentBanned: {
+      type: Boolean,
+      default: false,
+    },
     isActive: {
       type: Boolean,
       default: true,
     },
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpire: {
+      type: Date,
+      select: false,
+    },
+    // External OpenID Connect identities linked to this account
+    identities: [
+      {
+        provider: {
+          type: String,
+          required: true,
+        },
+        subject: {
+          type: String,
+          required: true,
+        },
+        email: {
+          type: String,
+          lowercase: true,
+        },
+        linkedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    // SHA-256 hashes of unused recovery codes
+    twoFactorRecoveryCodes: {
+      type: [String],
+      select: false,
+    },
+    // Last accepted TOTP step, so a code cannot be replayed
+    twoFactorLastUsedStep: {
+      type: Number,
+      select: false,
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    // Number of lockouts since the last successful login
+    lockCount: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    lockUntil: {
+      type: Date,
+    },
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpire: {
+      type: Date,
+      select: false,
+    },
   },
   {
     timestamps: true,
   }
 );
 
+// An external identity can belong to one account only
+userSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  {
+    unique: true,
+    partialFilterExpression: { "identities.subject": { $exists: true } },
+  }
+);
+
 // Encrypt password before saving
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) {
-    next();
+    return next();
   }
 
   const salt = await bcrypt.genSalt(10);
@@ -63,10 +157,49 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
+// Generate a one-time password reset token; only its hash is stored
+userSchema.methods.getResetPasswordToken = function () {
+  const resetToken = crypto.randomBytes(32).toString("hex");
+
+  this.passwordResetToken = crypto
+    .createHash("sha256")
+    .update(resetToken)
+    .digest("hex");
+
+  const minutes = parseInt(process.env.RESET_TOKEN_EXPIRE_MINUTES, 10) || 15;
+  this.passwordResetExpire = Date.now() + minutes * 60 * 1000;
+
+  return resetToken;
+};
+
+// Generate an email verification token; only its hash is stored
+userSchema.methods.getEmailVerificationToken = function () {
+  const verificationToken = crypto.randomBytes(32).toString("hex");
+
+  this.emailVerificationToken = crypto
+    .createHash("sha256")
+    .update(verificationToken)
+    .digest("hex");
+
+  const hours = parseInt(process.env.VERIFY_TOKEN_EXPIRE_HOURS, 10) || 24;
+  this.emailVerificationExpire = Date.now() + hours * 60 * 60 * 1000;
+
+  return verificationToken;
+};
+
 // Remove password from JSON output
 userSchema.methods.toJSON = function () {
   const userObject = this.toObject();
   delete userObject.password;
+  delete userObject.emailVerificationToken;
+  delete userObject.emailVerificationExpire;
+  delete userObject.twoFactorSecret;
+  delete userObject.twoFactorRecoveryCodes;
+  delete userObject.twoFactorLastUsedStep;
+  delete userObject.failedLoginAttempts;
+  delete userObject.lockCount;
+  delete userObject.passwordResetToken;
+  delete userObject.passwordResetExpire;
   return userObject;
 };
 
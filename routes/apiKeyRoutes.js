@@ -0,0 +1,39 @@
+const express = require("express");
+const { body } = require("express-validator");
+const ApiKey = require("../models/ApiKey");
+const {
+  createApiKey,
+  getApiKeys,
+  revokeApiKey,
+} = require("../controllers/apiKeyController");
+const { protect, rejectApiKey } = require("../middlewares/authMiddleware");
+
+const router = express.Router();
+
+// API key validation
+const apiKeyValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Name must be between 1 and 50 characters"),
+  body("scopes")
+    .isArray({ min: 1 })
+    .withMessage("Scopes must be a non-empty array"),
+  body("scopes.*")
+    .isIn(ApiKey.scopes)
+    .withMessage(`Scopes must be one of: ${ApiKey.scopes.join(", ")}`),
+  body("expiresInDays")
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage("Expiry must be between 1 and 365 days")
+    .toInt(),
+];
+
+// Keys are managed with a normal login only, never with another key
+router.use(protect, rejectApiKey);
+
+router.get("/", getApiKeys);
+router.post("/", apiKeyValidation, createApiKey);
+router.delete("/:id", revokeApiKey);
+
+module.exports = router;
@@ -6,8 +6,37 @@ const {
   getMe,
   updateProfile,
   changePassword,
+  refresh,
+  logout,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
 } = require("../controllers/authController");
-const { protect } = require("../middlewares/authMiddleware");
+const {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin,
+} = require("../controllers/twoFactorController");
+const {
+  startOAuth,
+  startOAuthLink,
+  oauthCallback,
+  unlinkOAuth,
+} = require("../controllers/oauthController");
+const {
+  getSessions,
+  revokeSessionById,
+  revokeOtherSessions,
+} = require("../controllers/sessionController");
+const { setAvatar } = require("../controllers/mediaController");
+const {
+  protect,
+  optionalAuth,
+  rejectApiKey,
+} = require("../middlewares/authMiddleware");
 
 const router = express.Router();
 
@@ -51,20 +80,105 @@ const changePasswordValidation = [
     .withMessage(
       "New password must contain at least one uppercase letter, one lowercase letter, and one number"
     ),
+  body("revokeOtherSessions")
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage("revokeOtherSessions must be a boolean"),
+];
+
+// Refresh token validation
+const refreshTokenValidation = [
+  body("refreshToken").notEmpty().withMessage("Refresh token is required"),
+];
+
+// Forgot password validation
+const forgotPasswordValidation = [
+  body("email")
+    .isEmail()
+    .normalizeEmail()
+    .withMessage("Please provide a valid email"),
+];
+
+// Reset password validation
+const resetPasswordValidation = [
+  body("token").notEmpty().withMessage("Reset token is required"),
+  body("password")
+    .isLength({ min: 6 })
+    .withMessage("Password must be at least 6 characters long")
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage(
+      "Password must contain at least one uppercase letter, one lowercase letter, and one number"
+    ),
+];
+
+// Verify email validation
+const verifyEmailValidation = [
+  body("token").notEmpty().withMessage("Verification token is required"),
+];
+
+// Two-factor code validation
+const twoFactorCodeValidation = [
+  body("code").notEmpty().withMessage("Authentication code is required"),
+];
+
+// Two-factor login validation (TOTP code or recovery code)
+const twoFactorLoginValidation = [
+  body("challengeToken").notEmpty().withMessage("Challenge token is required"),
+  body("code")
+    .if(body("recoveryCode").not().exists())
+    .notEmpty()
+    .withMessage("Authentication code or recovery code is required"),
+];
+
+// Disable two-factor validation
+const disableTwoFactorValidation = [
+  body("password").notEmpty().withMessage("Password is required"),
+  body("code")
+    .if(body("recoveryCode").not().exists())
+    .notEmpty()
+    .withMessage("Authentication code or recovery code is required"),
+];
+
+// Avatar validation
+const avatarValidation = [
+  body("mediaId")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("A valid media ID is required"),
 ];
 
 // Public routes
 router.post("/register", registerValidation, register);
 router.post("/login", loginValidation, login);
+router.post("/login/2fa", twoFactorLoginValidation, verifyTwoFactorLogin);
+router.post("/refresh", refreshTokenValidation, refresh);
+router.post("/logout", refreshTokenValidation, logout);
+router.post("/forgot-password", forgotPasswordValidation, forgotPassword);
+router.post("/reset-password", resetPasswordValidation, resetPassword);
+router.post("/verify-email", verifyEmailValidation, verifyEmail);
+router.get("/oauth/:provider", startOAuth);
+router.get("/oauth/:provider/callback", optionalAuth, oauthCallback);
 
-// Private routes
-router.get("/me", protect, getMe);
-router.put("/me", protect, updateProfile);
-router.put(
-  "/change-password",
-  protect,
-  changePasswordValidation,
-  changePassword
+// Private routes (full login only, not API keys)
+router.use(protect, rejectApiKey);
+
+router.get("/me", getMe);
+router.put("/me", updateProfile);
+router.put("/avatar", avatarValidation, setAvatar);
+router.post("/resend-verification", resendVerification);
+router.get("/sessions", getSessions);
+router.delete("/sessions", revokeOtherSessions);
+router.delete("/sessions/:id", revokeSessionById);
+router.get("/oauth/:provider/link", startOAuthLink);
+router.delete("/oauth/:provider", unlinkOAuth);
+router.post("/2fa/setup", setupTwoFactor);
+router.post("/2fa/enable", twoFactorCodeValidation, enableTwoFactor);
+router.post("/2fa/disable", disableTwoFactorValidation, disableTwoFactor);
+router.post(
+  "/2fa/recovery-codes",
+  twoFactorCodeValidation,
+  regenerateRecoveryCodes
 );
+router.put("/change-password", changePasswordValidation, changePassword);
 
 module.exports = router;
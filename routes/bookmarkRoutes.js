@@ -0,0 +1,28 @@
+const express = require("express");
+const { body } = require("express-validator");
+const {
+  getBookmarks,
+  addBookmark,
+  removeBookmark,
+} = require("../controllers/bookmarkController");
+const { protect, requireScope } = require("../middlewares/authMiddleware");
+
+const router = express.Router();
+
+// Bookmark validation
+const bookmarkValidation = [
+  body("postId").isMongoId().withMessage("A valid post ID is required"),
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Note cannot be more than 500 characters"),
+];
+
+router.use(protect);
+
+router.get("/", requireScope("posts:read"), getBookmarks);
+router.post("/", requireScope("posts:write"), bookmarkValidation, addBookmark);
+router.delete("/:postId", requireScope("posts:write"), removeBookmark);
+
+module.exports = router;
@@ -0,0 +1,39 @@
+const express = require("express");
+const { body } = require("express-validator");
+const {
+  MODERATION_ACTIONS,
+  getModerationQueue,
+  moderateComments,
+} = require("../controllers/moderationController");
+const {
+  protect,
+  authorize,
+  requireScope,
+} = require("../middlewares/authMiddleware");
+
+const router = express.Router();
+
+const ACTIONS = Object.keys(MODERATION_ACTIONS);
+
+// Moderation validation
+const moderateValidation = [
+  body("action")
+    .isIn(ACTIONS)
+    .withMessage(`Action must be one of: ${ACTIONS.join(", ")}`),
+  body("ids")
+    .isArray({ min: 1, max: 100 })
+    .withMessage("Send between 1 and 100 comment IDs"),
+  body("ids.*").isMongoId().withMessage("Ids must be valid comment IDs"),
+];
+
+// Moderator routes
+router.use(
+  protect,
+  requireScope("comments:write"),
+  authorize("comments:moderate")
+);
+
+router.get("/queue", getModerationQueue);
+router.post("/moderate", moderateValidation, moderateComments);
+
+module.exports = router;
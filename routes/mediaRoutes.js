@@ -0,0 +1,43 @@
+const express = require("express");
+const { body } = require("express-validator");
+const {
+  uploadMedia,
+  getMyMedia,
+  getMedia,
+  updateMedia,
+  deleteMedia,
+} = require("../controllers/mediaController");
+const {
+  protect,
+  authorize,
+  requireScope,
+} = require("../middlewares/authMiddleware");
+const { uploadImage } = require("../middlewares/uploadMiddleware");
+
+const router = express.Router();
+
+// Media validation
+const mediaValidation = [
+  body("alt")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Alt text cannot be more than 200 characters"),
+];
+
+router.use(protect);
+
+router.get("/", requireScope("posts:read"), getMyMedia);
+router.post(
+  "/",
+  requireScope("posts:write"),
+  authorize("media:upload"),
+  uploadImage,
+  mediaValidation,
+  uploadMedia
+);
+router.get("/:id", requireScope("posts:read"), getMedia);
+router.put("/:id", requireScope("posts:write"), mediaValidation, updateMedia);
+router.delete("/:id", requireScope("posts:write"), deleteMedia);
+
+module.exports = router;
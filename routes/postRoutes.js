@@ -1,5 +1,8 @@
 const express = require("express");
 const { body } = require("express-validator");
+const { CONTENT_FORMATS } = require("../utils/renderContent");
+const { STATUSES } = require("../config/workflow");
+const Comment = require("../models/Comment");
 const {
   getPosts,
   getPost,
@@ -7,12 +10,59 @@ const {
   createPost,
   updatePost,
   deletePost,
+  bulkUpdatePosts,
   likePost,
-  addComment,
-  deleteComment,
   getMyPosts,
 } = require("../controllers/postController");
-const { protect } = require("../middlewares/authMiddleware");
+const {
+  getComments,
+  addComment,
+  updateComment,
+  getCommentEdits,
+  deleteComment,
+  reportComment,
+  updateCommentSettings,
+} = require("../controllers/commentController");
+const {
+  getRevisions,
+  getRevision,
+  getRevisionDiff,
+  restoreRevision,
+} = require("../controllers/revisionController");
+const {
+  inviteCoAuthor,
+  updateCoAuthor,
+  removeCoAuthor,
+  acceptCoAuthorInvite,
+  getCoAuthorInvites,
+} = require("../controllers/coAuthorController");
+const {
+  createPreviewLink,
+  getPreviewLinks,
+  revokePreviewLink,
+  getPreview,
+} = require("../controllers/previewController");
+const {
+  submitPost,
+  approvePost,
+  requestChanges,
+  getTransitions,
+  getReviewQueue,
+} = require("../controllers/workflowController");
+const { setFeaturedImage } = require("../controllers/mediaController");
+const {
+  addReaction,
+  removeReaction,
+  recountReactions,
+} = require("../controllers/reactionController");
+const {
+  protect,
+  optionalAuth,
+  admin,
+  authorize,
+  requireScope,
+  requireVerifiedEmail,
+} = require("../middlewares/authMiddleware");
 
 const router = express.Router();
 
@@ -26,6 +76,20 @@ const postValidation = [
     .trim()
     .isLength({ min: 50 })
     .withMessage("Content must be at least 50 characters long"),
+  body("slug")
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(/^([a-z0-9]+(?:-[a-z0-9]+)*)?$/)
+    .withMessage("Slug may only contain lowercase letters, numbers and hyphens")
+    .isLength({ max: 80 })
+    .withMessage("Slug cannot be more than 80 characters"),
+  body("contentFormat")
+    .optional()
+    .isIn(CONTENT_FORMATS)
+    .withMessage(
+      `Content format must be one of: ${CONTENT_FORMATS.join(", ")}`
+    ),
   body("excerpt")
     .optional()
     .trim()
@@ -39,25 +103,357 @@ const postValidation = [
   body("tags").optional().isArray().withMessage("Tags must be an array"),
   body("status")
     .optional()
-    .isIn(["draft", "published", "archived"])
-    .withMessage("Status must be draft, published, or archived"),
+    .isIn(STATUSES)
+    .withMessage(`Status must be one of: ${STATUSES.join(", ")}`),
+  body("publishAt")
+    .if(body("status").equals("scheduled"))
+    .isISO8601()
+    .withMessage("Scheduled posts need a valid publishAt date")
+    .bail()
+    .custom((value) => new Date(value) > new Date())
+    .withMessage("publishAt must be in the future"),
+];
+
+// Co-author validation
+const inviteCoAuthorValidation = [
+  body("userId").isMongoId().withMessage("A valid user ID is required"),
+  body("role")
+    .optional()
+    .isIn(["editor", "reviewer"])
+    .withMessage("Role must be editor or reviewer"),
+];
+
+const coAuthorRoleValidation = [
+  body("role")
+    .isIn(["editor", "reviewer"])
+    .withMessage("Role must be editor or reviewer"),
+];
+
+// Bulk validation
+const BULK_ACTIONS = ["status", "addTags", "removeTags", "category", "delete"];
+
+const bulkValidation = [
+  body("action")
+    .isIn(BULK_ACTIONS)
+    .withMessage(`Action must be one of: ${BULK_ACTIONS.join(", ")}`),
+  body("ids")
+    .if(body("filter").not().exists())
+    .isArray({ min: 1 })
+    .withMessage("Send a non-empty ids array or a filter"),
+  body("ids.*").isMongoId().withMessage("Ids must be valid post IDs"),
+  body("filter")
+    .optional()
+    .isObject()
+    .withMessage("Filter must be an object")
+    .bail()
+    .custom((value, { req }) => !req.body.ids)
+    .withMessage("Send either ids or a filter, not both"),
+  body("filter.status")
+    .optional()
+    .isIn(STATUSES)
+    .withMessage(`Status must be one of: ${STATUSES.join(", ")}`),
+  body("filter.category")
+    .optional()
+    .isString()
+    .withMessage("Category must be a string"),
+  body("filter.tags").optional().isArray().withMessage("Tags must be an array"),
+  body("filter.author")
+    .optional()
+    .isMongoId()
+    .withMessage("Author must be a valid user ID"),
+  body("status")
+    .if(body("action").equals("status"))
+    .isIn(STATUSES)
+    .withMessage(`Status must be one of: ${STATUSES.join(", ")}`),
+  body("publishAt")
+    .if(body("action").equals("status"))
+    .if(body("status").equals("scheduled"))
+    .isISO8601()
+    .withMessage("Scheduled posts need a valid publishAt date")
+    .bail()
+    .custom((value) => new Date(value) > new Date())
+    .withMessage("publishAt must be in the future"),
+  body("tags")
+    .if(body("action").isIn(["addTags", "removeTags"]))
+    .isArray({ min: 1 })
+    .withMessage("Tags must be a non-empty array"),
+  body("tags.*")
+    .trim()
+    .toLowerCase()
+    .notEmpty()
+    .withMessage("Tags cannot be empty"),
+  body("category")
+    .if(body("action").equals("category"))
+    .isString()
+    .withMessage("Category is required")
+    .bail()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Category must be between 2 and 50 characters"),
+];
+
+// Comment validation
+const commentValidation = [
+  body("text")
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage("Comment must be between 1 and 500 characters"),
+  body("parentId")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Parent must be a valid comment ID"),
+];
+
+// Comment edit validation
+const commentEditValidation = [
+  body("text")
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage("Comment must be between 1 and 500 characters"),
+];
+
+// Comment report validation
+const reportValidation = [
+  body("reason")
+    .isIn(Comment.reportReasons)
+    .withMessage(`Reason must be one of: ${Comment.reportReasons.join(", ")}`),
+  body("details")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Details cannot be more than 500 characters"),
+];
+
+// Comment settings validation
+const commentSettingsValidation = [
+  body("closed")
+    .optional()
+    .isBoolean()
+    .withMessage("Closed must be true or false")
+    .toBoolean(),
+  body("hold")
+    .optional()
+    .isBoolean()
+    .withMessage("Hold must be true or false")
+    .toBoolean(),
+];
+
+// Review validation
+const reviewCommentValidation = [
+  body("comment")
+    .optional()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage("Comment cannot be more than 2000 characters"),
+];
+
+const approveValidation = [
+  ...reviewCommentValidation,
+  body("publishAt")
+    .optional()
+    .isISO8601()
+    .withMessage("publishAt must be a valid date")
+    .bail()
+    .custom((value) => new Date(value) > new Date())
+    .withMessage("publishAt must be in the future"),
+];
+
+const requestChangesValidation = [
+  body("comment")
+    .trim()
+    .isLength({ min: 1, max: 2000 })
+    .withMessage("A comment of up to 2000 characters is required"),
+];
+
+// Featured image validation
+const featuredImageValidation = [
+  body("mediaId")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("A valid media ID is required"),
+];
+
+// Preview link validation
+const previewLinkValidation = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage("Name cannot be more than 50 characters"),
+  body("expiresInHours")
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage("Expiry must be between 1 and 720 hours")
+    .toInt(),
 ];
 
-// Public routes
-router.get("/", getPosts);
-router.get("/slug/:slug", getPostBySlug);
-router.get("/:id", getPost);
+// Public routes (owners and editors also see drafts)
+router.get("/", optionalAuth, getPosts);
+router.get("/preview/:token", getPreview);
+router.get("/slug/:slug", optionalAuth, getPostBySlug);
+router.get("/:id", optionalAuth, getPost);
+router.get("/:id/comments", optionalAuth, getComments);
 
 // Private routes
 router.use(protect);
 
 // User routes
-router.get("/user/my-posts", getMyPosts);
-router.post("/", postValidation, createPost);
-router.put("/:id", postValidation, updatePost);
-router.delete("/:id", deletePost);
-router.put("/:id/like", likePost);
-router.post("/:id/comments", addComment);
-router.delete("/:id/comments/:commentId", deleteComment);
+router.get("/user/my-posts", requireScope("posts:read"), getMyPosts);
+router.get(
+  "/user/coauthor-invites",
+  requireScope("posts:read"),
+  getCoAuthorInvites
+);
+router.get(
+  "/review/queue",
+  requireScope("posts:read"),
+  authorize("posts:review"),
+  getReviewQueue
+);
+router.post(
+  "/bulk",
+  requireScope("posts:write"),
+  bulkValidation,
+  bulkUpdatePosts
+);
+router.post(
+  "/",
+  requireScope("posts:write"),
+  authorize("posts:create"),
+  requireVerifiedEmail,
+  postValidation,
+  createPost
+);
+router.put("/:id", requireScope("posts:write"), postValidation, updatePost);
+router.delete("/:id", requireScope("posts:write"), deletePost);
+router.get("/:id/revisions", requireScope("posts:read"), getRevisions);
+router.get("/:id/revisions/diff", requireScope("posts:read"), getRevisionDiff);
+router.get("/:id/revisions/:number", requireScope("posts:read"), getRevision);
+router.post(
+  "/:id/revisions/:number/restore",
+  requireScope("posts:write"),
+  restoreRevision
+);
+router.post(
+  "/:id/coauthors",
+  requireScope("posts:write"),
+  inviteCoAuthorValidation,
+  inviteCoAuthor
+);
+router.post(
+  "/:id/coauthors/accept",
+  requireScope("posts:write"),
+  acceptCoAuthorInvite
+);
+router.put(
+  "/:id/coauthors/:userId",
+  requireScope("posts:write"),
+  coAuthorRoleValidation,
+  updateCoAuthor
+);
+router.delete(
+  "/:id/coauthors/:userId",
+  requireScope("posts:write"),
+  removeCoAuthor
+);
+router.get("/:id/transitions", requireScope("posts:read"), getTransitions);
+router.post(
+  "/:id/submit",
+  requireScope("posts:write"),
+  reviewCommentValidation,
+  submitPost
+);
+router.post(
+  "/:id/approve",
+  requireScope("posts:write"),
+  authorize("posts:review"),
+  approveValidation,
+  approvePost
+);
+router.post(
+  "/:id/request-changes",
+  requireScope("posts:write"),
+  authorize("posts:review"),
+  requestChangesValidation,
+  requestChanges
+);
+router.put(
+  "/:id/featured-image",
+  requireScope("posts:write"),
+  featuredImageValidation,
+  setFeaturedImage
+);
+router.get("/:id/preview-links", requireScope("posts:read"), getPreviewLinks);
+router.post(
+  "/:id/preview-links",
+  requireScope("posts:write"),
+  previewLinkValidation,
+  createPreviewLink
+);
+router.delete(
+  "/:id/preview-links/:linkId",
+  requireScope("posts:write"),
+  revokePreviewLink
+);
+router.put("/:id/like", requireScope("posts:write"), likePost);
+router.post("/:id/reactions", requireScope("posts:write"), addReaction);
+router.post(
+  "/:id/reactions/recount",
+  requireScope("posts:write"),
+  admin,
+  recountReactions
+);
+router.delete(
+  "/:id/reactions/:type",
+  requireScope("posts:write"),
+  removeReaction
+);
+router.post(
+  "/:id/comments",
+  requireScope("comments:write"),
+  authorize("comments:create"),
+  requireVerifiedEmail,
+  commentValidation,
+  addComment
+);
+router.put(
+  "/:id/comments/:commentId",
+  requireScope("comments:write"),
+  commentEditValidation,
+  updateComment
+);
+router.delete(
+  "/:id/comments/:commentId",
+  requireScope("comments:write"),
+  deleteComment
+);
+router.post(
+  "/:id/comments/:commentId/reactions",
+  requireScope("comments:write"),
+  addReaction
+);
+router.delete(
+  "/:id/comments/:commentId/reactions/:type",
+  requireScope("comments:write"),
+  removeReaction
+);
+router.get(
+  "/:id/comments/:commentId/edits",
+  requireScope("posts:read"),
+  authorize("comments:moderate"),
+  getCommentEdits
+);
+router.post(
+  "/:id/comments/:commentId/report",
+  requireScope("comments:write"),
+  reportValidation,
+  reportComment
+);
+router.put(
+  "/:id/comment-settings",
+  requireScope("posts:write"),
+  commentSettingsValidation,
+  updateCommentSettings
+);
 
 module.exports = router;
@@ -0,0 +1,73 @@
+const express = require("express");
+const { body } = require("express-validator");
+const {
+  getReadingLists,
+  getReadingList,
+  createReadingList,
+  updateReadingList,
+  deleteReadingList,
+  addListPost,
+  removeListPost,
+} = require("../controllers/bookmarkController");
+const {
+  protect,
+  optionalAuth,
+  requireScope,
+} = require("../middlewares/authMiddleware");
+
+const router = express.Router();
+
+// Reading list validation
+const listFields = [
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage("Description cannot be more than 200 characters"),
+  body("isPublic")
+    .optional()
+    .isBoolean()
+    .withMessage("isPublic must be true or false")
+    .toBoolean(),
+];
+
+const createListValidation = [
+  body("name")
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Name must be between 1 and 50 characters"),
+  ...listFields,
+];
+
+const updateListValidation = [
+  body("name")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Name must be between 1 and 50 characters"),
+  ...listFields,
+];
+
+const listPostValidation = [
+  body("postId").isMongoId().withMessage("A valid post ID is required"),
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Note cannot be more than 500 characters"),
+];
+
+// Public routes (owners also see their private lists)
+router.get("/", optionalAuth, getReadingLists);
+router.get("/:id", optionalAuth, getReadingList);
+
+// Private routes
+router.use(protect, requireScope("posts:write"));
+
+router.post("/", createListValidation, createReadingList);
+router.put("/:id", updateListValidation, updateReadingList);
+router.delete("/:id", deleteReadingList);
+router.post("/:id/posts", listPostValidation, addListPost);
+router.delete("/:id/posts/:postId", removeListPost);
+
+module.exports = router;
@@ -0,0 +1,91 @@
+const express = require("express");
+const { body } = require("express-validator");
+const {
+  getAllSeries,
+  getSeries,
+  getSeriesBySlug,
+  createSeries,
+  updateSeries,
+  deleteSeries,
+  addSeriesPost,
+  removeSeriesPost,
+  reorderSeriesPosts,
+} = require("../controllers/seriesController");
+const {
+  protect,
+  optionalAuth,
+  authorize,
+  requireScope,
+} = require("../middlewares/authMiddleware");
+
+const router = express.Router();
+
+// Series validation
+const seriesFields = [
+  body("description")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Description cannot be more than 500 characters"),
+  body("slug")
+    .optional()
+    .trim()
+    .toLowerCase()
+    .matches(/^([a-z0-9]+(?:-[a-z0-9]+)*)?$/)
+    .withMessage("Slug may only contain lowercase letters, numbers and hyphens")
+    .isLength({ max: 80 })
+    .withMessage("Slug cannot be more than 80 characters"),
+];
+
+const createSeriesValidation = [
+  body("title")
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage("Title must be between 3 and 100 characters"),
+  ...seriesFields,
+];
+
+const updateSeriesValidation = [
+  body("title")
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage("Title must be between 3 and 100 characters"),
+  ...seriesFields,
+];
+
+const addPostValidation = [
+  body("postId").isMongoId().withMessage("A valid post ID is required"),
+  body("position")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Position must be a positive integer")
+    .toInt(),
+];
+
+const reorderValidation = [
+  body("posts").isArray().withMessage("Posts must be an array of post IDs"),
+  body("posts.*").isMongoId().withMessage("Posts must be valid post IDs"),
+];
+
+// Public routes
+router.get("/", getAllSeries);
+router.get("/slug/:slug", optionalAuth, getSeriesBySlug);
+router.get("/:id", optionalAuth, getSeries);
+
+// Private routes
+router.use(protect, requireScope("posts:write"));
+
+router.post(
+  "/",
+  authorize("series:create"),
+  createSeriesValidation,
+  createSeries
+);
+router.put("/:id", updateSeriesValidation, updateSeries);
+router.delete("/:id", deleteSeries);
+router.post("/:id/posts", addPostValidation, addSeriesPost);
+router.put("/:id/posts", reorderValidation, reorderSeriesPosts);
+router.delete("/:id/posts/:postId", removeSeriesPost);
+
+module.exports = router;
@@ -5,21 +5,39 @@ const {
   updateUser,
   deleteUser,
   getUserPosts,
+  suspendUser,
+  banFromComments,
+  getLockouts,
+  getLoginAttempts,
+  clearLockout,
 } = require("../controllers/userController");
-const { protect, admin } = require("../middlewares/authMiddleware");
+const {
+  protect,
+  optionalAuth,
+  admin,
+  authorize,
+  rejectApiKey,
+} = require("../middlewares/authMiddleware");
 
 const router = express.Router();
 
-// All routes are protected and require admin access
-router.use(protect);
-
 // Public route (with optional auth)
-router.get("/:id/posts", getUserPosts);
+router.get("/:id/posts", optionalAuth, getUserPosts);
+
+// All other routes are protected
+router.use(protect, rejectApiKey);
+
+// Moderator routes
+router.put("/:id/suspend", authorize("users:suspend"), suspendUser);
+router.put("/:id/comment-ban", authorize("comments:moderate"), banFromComments);
 
 // Admin only routes
 router.get("/", admin, getUsers);
+router.get("/lockouts", admin, getLockouts);
 router.get("/:id", admin, getUser);
 router.put("/:id", admin, updateUser);
 router.delete("/:id", admin, deleteUser);
+router.get("/:id/login-attempts", admin, getLoginAttempts);
+router.delete("/:id/lockout", admin, clearLockout);
 
 module.exports = router;
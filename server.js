@@ -5,9 +5,16 @@ dotenv.config();
 
 const app = require("./app");
 const connectDB = require("./config/db");
+const { startScheduler, stopScheduler } = require("./utils/scheduler");
+const { migrateEmbeddedComments } = require("./utils/migrateComments");
+const { migrateEmbeddedLikes } = require("./utils/migrateLikes");
 
-// Connect to database
-connectDB();
+// Connect to database, then move comments and likes still stored inside
+// posts
+connectDB().then(migrateEmbeddedComments).then(migrateEmbeddedLikes);
+
+// Publish scheduled posts in the background
+startScheduler();
 
 const PORT = process.env.PORT || 5000;
 
@@ -35,6 +42,7 @@ process.on("uncaughtException", (err) => {
 // Graceful shutdown
 process.on("SIGTERM", () => {
   console.log("SIGTERM received. Shutting down gracefully...");
+  stopScheduler();
   server.close(() => {
     console.log("Process terminated");
     process.exit(0);
@@ -43,6 +51,7 @@ process.on("SIGTERM", () => {
 
 process.on("SIGINT", () => {
   console.log("SIGINT received. Shutting down gracefully...");
+  stopScheduler();
   server.close(() => {
     console.log("Process terminated");
     process.exit(0);
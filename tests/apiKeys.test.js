@@ -0,0 +1,150 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const ApiKey = require("../models/ApiKey");
+const { hashToken } = require("../utils/authTokens");
+const { createApiKey } = require("../controllers/apiKeyController");
+const {
+  protect,
+  requireScope,
+  rejectApiKey,
+} = require("../middlewares/authMiddleware");
+const { mockResponse, run } = require("./helpers");
+
+const owner = new User({
+  name: "Ada",
+  email: "ada@example.com",
+  password: "secret123",
+});
+
+const keyRequest = (key) => ({
+  headers: { "x-api-key": key },
+  ip: "1.2.3.4",
+});
+
+beforeEach(() => {
+  jest.spyOn(User, "findById").mockReturnValue({ select: async () => owner });
+  jest.spyOn(ApiKey, "updateOne").mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("createApiKey", () => {
+  it("returns the key once and stores only its hash", async () => {
+    const create = jest
+      .spyOn(ApiKey, "create")
+      .mockImplementation(async (data) => ({
+        _id: new mongoose.Types.ObjectId(),
+        ...data,
+      }));
+
+    const { res } = await run(createApiKey, {
+      user: { id: owner.id },
+      body: { name: "CI", scopes: ["posts:read", "posts:read"] },
+    });
+
+    const { key } = res.body.data;
+    const stored = create.mock.calls[0][0];
+    expect(stored.keyHash).toBe(hashToken(key));
+    expect(stored).not.toHaveProperty("key");
+    expect(stored.scopes).toEqual(["posts:read"]);
+    expect(res.body.data.apiKey).not.toHaveProperty("keyHash");
+  });
+});
+
+describe("protect with an API key", () => {
+  it("looks the key up by hash and attaches the key and its user", async () => {
+    const apiKey = { _id: "k1", user: owner._id, scopes: ["posts:read"] };
+    const findOne = jest.spyOn(ApiKey, "findOne").mockResolvedValue(apiKey);
+    const req = keyRequest("bk_secret");
+
+    const { next } = await run(protect, req);
+
+    expect(findOne).toHaveBeenCalledWith({
+      keyHash: hashToken("bk_secret"),
+      revokedAt: null,
+    });
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user).toBe(owner);
+    expect(req.apiKey).toBe(apiKey);
+    expect(ApiKey.updateOne).toHaveBeenCalled();
+  });
+
+  it("rejects unknown or revoked keys", async () => {
+    jest.spyOn(ApiKey, "findOne").mockResolvedValue(null);
+
+    const { res, next } = await run(protect, keyRequest("bk_revoked"));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it("rejects expired keys", async () => {
+    jest.spyOn(ApiKey, "findOne").mockResolvedValue({
+      user: owner._id,
+      scopes: ["posts:read"],
+      expiresAt: new Date(Date.now() - 1000),
+    });
+
+    const { res, next } = await run(protect, keyRequest("bk_old"));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it("rejects keys of deactivated users", async () => {
+    jest
+      .spyOn(ApiKey, "findOne")
+      .mockResolvedValue({ user: owner._id, scopes: ["posts:read"] });
+    User.findById.mockReturnValue({
+      select: async () => ({ isActive: false }),
+    });
+
+    const { res, next } = await run(protect, keyRequest("bk_key"));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
+
+describe("requireScope", () => {
+  it("refuses API keys without the scope", () => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    requireScope("posts:write")(
+      { apiKey: { scopes: ["posts:read"] } },
+      res,
+      next
+    );
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it("lets API keys with the scope and normal logins through", () => {
+    const next = jest.fn();
+
+    requireScope("posts:write")(
+      { apiKey: { scopes: ["posts:write"] } },
+      mockResponse(),
+      next
+    );
+    requireScope("posts:write")({ user: owner }, mockResponse(), next);
+
+    expect(next).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe("rejectApiKey", () => {
+  it("refuses API keys on full-login routes", () => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    rejectApiKey({ apiKey: { scopes: ["posts:write"] } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+});
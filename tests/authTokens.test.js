@@ -0,0 +1,135 @@
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const RefreshToken = require("../models/RefreshToken");
+const Session = require("../models/Session");
+const {
+  hashToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+} = require("../utils/authTokens");
+
+process.env.JWT_SECRET = "test-secret";
+
+const userId = new mongoose.Types.ObjectId();
+const sessionId = new mongoose.Types.ObjectId();
+
+beforeEach(() => {
+  jest.spyOn(RefreshToken, "create").mockResolvedValue({});
+  jest.spyOn(RefreshToken, "updateOne").mockResolvedValue({});
+  jest.spyOn(RefreshToken, "updateMany").mockResolvedValue({});
+  jest.spyOn(Session, "updateOne").mockResolvedValue({});
+  jest.spyOn(Session, "updateMany").mockResolvedValue({});
+  jest
+    .spyOn(Session, "find")
+    .mockReturnValue({ select: async () => [{ _id: sessionId }] });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("rotateRefreshToken", () => {
+  it("claims the token and issues a new pair for the same session", async () => {
+    const claim = jest
+      .spyOn(RefreshToken, "findOneAndUpdate")
+      .mockResolvedValue({ _id: "t1", user: userId, session: sessionId });
+
+    const result = await rotateRefreshToken("old-token", "1.2.3.4");
+
+    const [filter, update] = claim.mock.calls[0];
+    expect(filter.tokenHash).toBe(hashToken("old-token"));
+    expect(filter.revokedAt).toBeNull();
+    expect(update.revokedReason).toBe("rotated");
+
+    expect(result.userId).toBe(userId);
+    expect(result.refreshToken).not.toBe("old-token");
+    expect(jwt.verify(result.token, "test-secret").sid).toBe(
+      sessionId.toString()
+    );
+    expect(RefreshToken.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        tokenHash: hashToken(result.refreshToken),
+        session: sessionId,
+      })
+    );
+    expect(RefreshToken.updateOne).toHaveBeenCalledWith(
+      { _id: "t1" },
+      { replacedBy: hashToken(result.refreshToken) }
+    );
+  });
+
+  it("rejects an unknown token", async () => {
+    jest.spyOn(RefreshToken, "findOneAndUpdate").mockResolvedValue(null);
+    jest.spyOn(RefreshToken, "findOne").mockResolvedValue(null);
+
+    await expect(rotateRefreshToken("nope", "ip")).rejects.toMatchObject({
+      statusCode: 401,
+      message: "Invalid refresh token",
+    });
+  });
+
+  it("revokes the whole session when a rotated token is reused", async () => {
+    jest.spyOn(RefreshToken, "findOneAndUpdate").mockResolvedValue(null);
+    jest.spyOn(RefreshToken, "findOne").mockResolvedValue({
+      session: sessionId,
+      revokedAt: new Date(),
+      revokedReason: "rotated",
+    });
+
+    await expect(rotateRefreshToken("reused", "ip")).rejects.toMatchObject({
+      statusCode: 401,
+      message: "Refresh token has been revoked",
+    });
+    expect(Session.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [sessionId] } },
+      expect.objectContaining({ revokedReason: "reuse" })
+    );
+    expect(RefreshToken.create).not.toHaveBeenCalled();
+  });
+
+  it("does not revoke the session for a token revoked by logout", async () => {
+    jest.spyOn(RefreshToken, "findOneAndUpdate").mockResolvedValue(null);
+    jest.spyOn(RefreshToken, "findOne").mockResolvedValue({
+      session: sessionId,
+      revokedAt: new Date(),
+      revokedReason: "logout",
+    });
+
+    await expect(rotateRefreshToken("old", "ip")).rejects.toMatchObject({
+      statusCode: 401,
+    });
+    expect(Session.updateMany).not.toHaveBeenCalled();
+  });
+
+  it("rejects an expired token", async () => {
+    jest.spyOn(RefreshToken, "findOneAndUpdate").mockResolvedValue(null);
+    jest.spyOn(RefreshToken, "findOne").mockResolvedValue({
+      session: sessionId,
+      expiresAt: new Date(Date.now() - 1000),
+    });
+
+    await expect(rotateRefreshToken("stale", "ip")).rejects.toMatchObject({
+      statusCode: 401,
+      message: "Refresh token expired",
+    });
+  });
+});
+
+describe("revokeRefreshToken", () => {
+  it("revokes the token's session on logout", async () => {
+    jest
+      .spyOn(RefreshToken, "findOne")
+      .mockResolvedValue({ session: sessionId });
+
+    await revokeRefreshToken("token");
+
+    expect(Session.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [sessionId] } },
+      expect.objectContaining({ revokedReason: "logout" })
+    );
+    expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+      { session: { $in: [sessionId] }, revokedAt: null },
+      expect.objectContaining({ revokedReason: "logout" })
+    );
+  });
+});
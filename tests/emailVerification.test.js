@@ -0,0 +1,132 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const RefreshToken = require("../models/RefreshToken");
+const { sendEmail } = require("../utils/mailer");
+const { register, verifyEmail } = require("../controllers/authController");
+const { requireVerifiedEmail } = require("../middlewares/authMiddleware");
+const { mockResponse, run } = require("./helpers");
+
+jest.mock("../utils/mailer");
+
+process.env.JWT_SECRET = "test-secret";
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+const makeUser = () =>
+  new User({ name: "Ada", email: "ada@example.com", password: "secret123" });
+
+beforeEach(() => {
+  jest.spyOn(User.prototype, "save").mockResolvedValue();
+  jest.spyOn(console, "error").mockImplementation(() => {});
+  sendEmail.mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  sendEmail.mockReset();
+});
+
+describe("register", () => {
+  const registerRequest = () => ({
+    body: { name: "Ada", email: "ada@example.com", password: "secret123" },
+    ip: "1.2.3.4",
+    get: () => "jest",
+  });
+
+  beforeEach(() => {
+    jest.spyOn(User, "findOne").mockResolvedValue(null);
+    jest.spyOn(Session, "create").mockImplementation(async (data) => ({
+      _id: new mongoose.Types.ObjectId(),
+      ...data,
+    }));
+    jest.spyOn(RefreshToken, "create").mockResolvedValue({});
+  });
+
+  it("sends a verification link and stores only the token hash", async () => {
+    const user = makeUser();
+    jest.spyOn(User, "create").mockResolvedValue(user);
+
+    const { res } = await run(register, registerRequest());
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.body.data.user.emailVerified).toBe(false);
+    const token = sendEmail.mock.calls[0][0].text.match(/token=([a-f0-9]+)/)[1];
+    expect(user.emailVerificationToken).toBe(sha256(token));
+  });
+
+  it("still registers the user when the email can't be sent", async () => {
+    jest.spyOn(User, "create").mockResolvedValue(makeUser());
+    sendEmail.mockRejectedValue(new Error("SMTP down"));
+
+    const { res } = await run(register, registerRequest());
+
+    expect(res.status).toHaveBeenCalledWith(201);
+    expect(res.body.data.token).toBeDefined();
+  });
+});
+
+describe("verifyEmail", () => {
+  it("marks the email verified and consumes the token", async () => {
+    const user = makeUser();
+    user.emailVerificationToken = sha256("raw-token");
+    const findOne = jest.spyOn(User, "findOne").mockResolvedValue(user);
+
+    const { res } = await run(verifyEmail, { body: { token: "raw-token" } });
+
+    expect(findOne.mock.calls[0][0].emailVerificationToken).toBe(
+      sha256("raw-token")
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(user.emailVerified).toBe(true);
+    expect(user.emailVerificationToken).toBeUndefined();
+  });
+
+  it("rejects an unknown or expired token", async () => {
+    jest.spyOn(User, "findOne").mockResolvedValue(null);
+
+    const { error } = await run(verifyEmail, { body: { token: "wrong" } });
+
+    expect(error.statusCode).toBe(400);
+  });
+});
+
+describe("requireVerifiedEmail", () => {
+  afterEach(() => {
+    delete process.env.REQUIRE_EMAIL_VERIFICATION;
+  });
+
+  it("lets unverified users through unless verification is required", () => {
+    const next = jest.fn();
+    requireVerifiedEmail(
+      { user: { emailVerified: false } },
+      mockResponse(),
+      next
+    );
+    expect(next).toHaveBeenCalled();
+  });
+
+  it("blocks unverified users when verification is required", () => {
+    process.env.REQUIRE_EMAIL_VERIFICATION = "true";
+    const res = mockResponse();
+    const next = jest.fn();
+
+    requireVerifiedEmail({ user: { emailVerified: false } }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it("lets verified users through when verification is required", () => {
+    process.env.REQUIRE_EMAIL_VERIFICATION = "true";
+    const next = jest.fn();
+    requireVerifiedEmail(
+      { user: { emailVerified: true } },
+      mockResponse(),
+      next
+    );
+    expect(next).toHaveBeenCalled();
+  });
+});
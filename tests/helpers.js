@@ -0,0 +1,21 @@
+// Minimal Express response double that records status and body
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn((body) => {
+    res.body = body;
+    return res;
+  });
+  res.redirect = jest.fn();
+  res.set = jest.fn(() => res);
+  return res;
+};
+
+// Run a controller or middleware and resolve with what it passed to next
+const run = async (handler, req, res = mockResponse()) => {
+  const next = jest.fn();
+  await handler(req, res, next);
+  return { res, next, error: next.mock.calls[0] && next.mock.calls[0][0] };
+};
+
+module.exports = { mockResponse, run };
@@ -0,0 +1,168 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const LoginAttempt = require("../models/LoginAttempt");
+const {
+  isLocked,
+  recordLoginAttempt,
+  registerFailedLogin,
+} = require("../utils/loginSecurity");
+const { login } = require("../controllers/authController");
+const { run } = require("./helpers");
+
+const request = (ip = "1.2.3.4") => ({ ip, get: () => "jest" });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.MAX_LOGIN_ATTEMPTS;
+});
+
+describe("isLocked", () => {
+  it("is only true while lockUntil is in the future", () => {
+    expect(isLocked({})).toBe(false);
+    expect(isLocked({ lockUntil: new Date(Date.now() + 60000) })).toBe(true);
+    expect(isLocked({ lockUntil: new Date(Date.now() - 60000) })).toBe(false);
+  });
+});
+
+describe("registerFailedLogin", () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+
+  const failWith = (counters) => {
+    jest
+      .spyOn(User, "findByIdAndUpdate")
+      .mockReturnValue({ select: async () => counters });
+    return jest.spyOn(User, "updateOne").mockResolvedValue({});
+  };
+
+  it("does not lock below the limit", async () => {
+    const updateOne = failWith({ failedLoginAttempts: 4, lockCount: 0 });
+
+    await registerFailedLogin(user);
+
+    expect(updateOne).not.toHaveBeenCalled();
+  });
+
+  it("locks for the base time once the limit is hit", async () => {
+    const updateOne = failWith({ failedLoginAttempts: 5, lockCount: 0 });
+
+    await registerFailedLogin(user);
+
+    const [, update] = updateOne.mock.calls[0];
+    const minutes = (update.lockUntil - Date.now()) / 60000;
+    expect(minutes).toBeCloseTo(15, 0);
+    expect(update.failedLoginAttempts).toBe(0);
+    expect(update.$inc).toEqual({ lockCount: 1 });
+  });
+
+  it("doubles each lockout up to the maximum", async () => {
+    let updateOne = failWith({ failedLoginAttempts: 5, lockCount: 2 });
+    await registerFailedLogin(user);
+    let minutes = (updateOne.mock.calls[0][1].lockUntil - Date.now()) / 60000;
+    expect(minutes).toBeCloseTo(60, 0);
+
+    jest.restoreAllMocks();
+    updateOne = failWith({ failedLoginAttempts: 5, lockCount: 20 });
+    await registerFailedLogin(user);
+    minutes = (updateOne.mock.calls[0][1].lockUntil - Date.now()) / 60000;
+    expect(minutes).toBeCloseTo(24 * 60, 0);
+  });
+
+  it("follows MAX_LOGIN_ATTEMPTS", async () => {
+    process.env.MAX_LOGIN_ATTEMPTS = "3";
+    const updateOne = failWith({ failedLoginAttempts: 3, lockCount: 0 });
+
+    await registerFailedLogin(user);
+
+    expect(updateOne).toHaveBeenCalled();
+  });
+});
+
+describe("recordLoginAttempt", () => {
+  const user = { _id: new mongoose.Types.ObjectId(), email: "a@example.com" };
+
+  beforeEach(() => {
+    jest.spyOn(LoginAttempt, "create").mockImplementation(async (data) => data);
+  });
+
+  it("flags a successful login from a new IP", async () => {
+    jest
+      .spyOn(LoginAttempt, "exists")
+      .mockImplementation(async (query) => (query.ip ? null : { _id: 1 }));
+
+    const attempt = await recordLoginAttempt(request("9.9.9.9"), {
+      user,
+      outcome: "success",
+    });
+
+    expect(attempt.suspicious).toBe(true);
+  });
+
+  it("does not flag the first login or a known IP", async () => {
+    jest.spyOn(LoginAttempt, "exists").mockResolvedValue(null);
+    const first = await recordLoginAttempt(request(), {
+      user,
+      outcome: "success",
+    });
+    expect(first.suspicious).toBe(false);
+
+    LoginAttempt.exists.mockResolvedValue({ _id: 1 });
+    const known = await recordLoginAttempt(request(), {
+      user,
+      outcome: "success",
+    });
+    expect(known.suspicious).toBe(false);
+  });
+});
+
+describe("login", () => {
+  beforeEach(() => {
+    jest.spyOn(LoginAttempt, "create").mockResolvedValue({});
+  });
+
+  it("refuses a locked account before checking the password", async () => {
+    const user = new User({
+      name: "Ada",
+      email: "ada@example.com",
+      password: "secret123",
+      lockUntil: new Date(Date.now() + 60000),
+    });
+    jest.spyOn(User, "findOne").mockReturnValue({ select: async () => user });
+    const matchPassword = jest.spyOn(user, "matchPassword");
+
+    const { error } = await run(login, {
+      ...request(),
+      body: { email: user.email, password: "secret123" },
+    });
+
+    expect(error.statusCode).toBe(423);
+    expect(matchPassword).not.toHaveBeenCalled();
+    expect(LoginAttempt.create).toHaveBeenCalledWith(
+      expect.objectContaining({ outcome: "locked" })
+    );
+  });
+
+  it("counts a wrong password as a failed attempt", async () => {
+    const user = new User({
+      name: "Ada",
+      email: "ada@example.com",
+      password: "secret123",
+    });
+    jest.spyOn(User, "findOne").mockReturnValue({ select: async () => user });
+    jest.spyOn(user, "matchPassword").mockResolvedValue(false);
+    const increment = jest
+      .spyOn(User, "findByIdAndUpdate")
+      .mockReturnValue({ select: async () => ({ failedLoginAttempts: 1 }) });
+
+    const { error } = await run(login, {
+      ...request(),
+      body: { email: user.email, password: "wrong" },
+    });
+
+    expect(error.statusCode).toBe(401);
+    expect(increment).toHaveBeenCalledWith(
+      user._id,
+      { $inc: { failedLoginAttempts: 1 } },
+      { new: true }
+    );
+  });
+});
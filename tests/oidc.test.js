@@ -0,0 +1,210 @@
+const crypto = require("crypto");
+const http = require("http");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const OAuthState = require("../models/OAuthState");
+const {
+  createAuthorizationUrl,
+  completeAuthorization,
+} = require("../utils/oidc");
+const { oauthCallback } = require("../controllers/oauthController");
+const { run } = require("./helpers");
+
+const CLIENT_ID = "blog-api";
+const CLIENT_SECRET = "mock-client-secret";
+const ISSUER = "http://mock-idp.test";
+
+// Local stand-in for the provider's token endpoint; it signs ID tokens
+// with the client secret (HS256) so no key set is needed
+let server;
+let tokenRequests;
+let claims;
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const params = new URLSearchParams(body);
+      tokenRequests.push(params);
+
+      const idToken = jwt.sign(claims, CLIENT_SECRET, {
+        audience: CLIENT_ID,
+        issuer: ISSUER,
+        expiresIn: 60,
+      });
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ id_token: idToken }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  const base = `http://127.0.0.1:${server.address().port}`;
+  Object.assign(process.env, {
+    JWT_SECRET: "test-secret",
+    OIDC_PROVIDERS: "mock",
+    OIDC_MOCK_ISSUER: ISSUER,
+    OIDC_MOCK_CLIENT_ID: CLIENT_ID,
+    OIDC_MOCK_CLIENT_SECRET: CLIENT_SECRET,
+    OIDC_MOCK_REDIRECT_URI: "http://localhost:3000/oauth/mock/callback",
+    OIDC_MOCK_AUTHORIZATION_ENDPOINT: `${base}/authorize`,
+    OIDC_MOCK_TOKEN_ENDPOINT: `${base}/token`,
+    OIDC_MOCK_JWKS_URI: `${base}/jwks`,
+  });
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+});
+
+// Start a flow and keep the stored state where the callback finds it
+let stored;
+const startFlow = async (linkUserId) => {
+  jest.spyOn(OAuthState, "create").mockImplementation(async (data) => {
+    stored = data;
+    return data;
+  });
+  jest
+    .spyOn(OAuthState, "findOneAndDelete")
+    .mockImplementation(async (query) =>
+      stored && query.state === stored.state ? stored : null
+    );
+
+  const url = new URL(await createAuthorizationUrl("mock", linkUserId));
+  claims = {
+    sub: "idp-user-1",
+    email: "ada@example.com",
+    email_verified: true,
+    nonce: stored.nonce,
+  };
+  return url;
+};
+
+beforeEach(() => {
+  tokenRequests = [];
+  stored = null;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("completeAuthorization", () => {
+  it("sends a PKCE challenge and exchanges the code with its verifier", async () => {
+    const url = await startFlow();
+
+    expect(url.searchParams.get("code_challenge")).toBe(
+      crypto
+        .createHash("sha256")
+        .update(stored.codeVerifier)
+        .digest("base64url")
+    );
+    expect(url.searchParams.get("code_challenge_method")).toBe("S256");
+
+    const { identity } = await completeAuthorization("mock", {
+      code: "abc",
+      state: url.searchParams.get("state"),
+    });
+
+    expect(tokenRequests[0].get("code_verifier")).toBe(stored.codeVerifier);
+    expect(identity).toMatchObject({
+      provider: "mock",
+      subject: "idp-user-1",
+      email: "ada@example.com",
+      emailVerified: true,
+    });
+  });
+
+  it("rejects an unknown state", async () => {
+    await startFlow();
+
+    await expect(
+      completeAuthorization("mock", { code: "abc", state: "forged" })
+    ).rejects.toMatchObject({ statusCode: 400 });
+    expect(tokenRequests).toHaveLength(0);
+  });
+
+  it("rejects an ID token with the wrong nonce", async () => {
+    const url = await startFlow();
+    claims.nonce = "replayed";
+
+    await expect(
+      completeAuthorization("mock", {
+        code: "abc",
+        state: url.searchParams.get("state"),
+      })
+    ).rejects.toMatchObject({ statusCode: 401 });
+  });
+});
+
+describe("linking a provider", () => {
+  const owner = new User({
+    name: "Owner",
+    email: "owner@example.com",
+    password: "secret123",
+  });
+
+  const callback = (url, user) =>
+    run(oauthCallback, {
+      params: { provider: "mock" },
+      query: { code: "abc", state: url.searchParams.get("state") },
+      user,
+    });
+
+  it("refuses to finish a link for a different signed-in user", async () => {
+    const url = await startFlow(owner._id);
+    const victim = { id: new mongoose.Types.ObjectId().toString() };
+
+    const { error } = await callback(url, victim);
+
+    expect(error.statusCode).toBe(403);
+    expect(tokenRequests).toHaveLength(0);
+  });
+
+  it("refuses to finish a link without a signed-in user", async () => {
+    const url = await startFlow(owner._id);
+
+    const { error } = await callback(url, undefined);
+
+    expect(error.statusCode).toBe(403);
+  });
+
+  it("links the identity for the user who started it", async () => {
+    const url = await startFlow(owner._id);
+    jest.spyOn(User, "findOne").mockResolvedValue(null);
+    jest.spyOn(User, "findById").mockResolvedValue(owner);
+    jest.spyOn(owner, "save").mockResolvedValue();
+
+    const { res } = await callback(url, { id: owner.id });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(owner.identities[0]).toMatchObject({
+      provider: "mock",
+      subject: "idp-user-1",
+    });
+  });
+});
+
+describe("signing in with a provider", () => {
+  it("does not merge into an existing account on an unverified email", async () => {
+    const url = await startFlow();
+    claims.email_verified = false;
+    const existing = new User({
+      name: "Ada",
+      email: "ada@example.com",
+      password: "secret123",
+    });
+    jest
+      .spyOn(User, "findOne")
+      .mockImplementation(async (query) => (query.email ? existing : null));
+
+    const { error } = await run(oauthCallback, {
+      params: { provider: "mock" },
+      query: { code: "abc", state: url.searchParams.get("state") },
+    });
+
+    expect(error.statusCode).toBe(409);
+    expect(existing.identities).toHaveLength(0);
+  });
+});
@@ -0,0 +1,132 @@
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Post = require("../models/Post");
+const Session = require("../models/Session");
+const ApiKey = require("../models/ApiKey");
+const { optionalAuth } = require("../middlewares/authMiddleware");
+const { run } = require("./helpers");
+
+process.env.JWT_SECRET = "test-secret";
+
+const owner = new User({
+  name: "Ada",
+  email: "ada@example.com",
+  password: "secret123",
+});
+const sessionId = new mongoose.Types.ObjectId();
+
+const bearer = (token) => ({
+  headers: { authorization: `Bearer ${token}` },
+  ip: "1.2.3.4",
+});
+const validToken = () =>
+  jwt.sign({ id: owner.id, sid: sessionId.toString() }, "test-secret");
+
+beforeEach(() => {
+  jest.spyOn(User, "findById").mockReturnValue({ select: async () => owner });
+  jest.spyOn(Session, "findOne").mockResolvedValue({
+    _id: sessionId,
+    user: owner._id,
+    lastSeenAt: new Date(),
+  });
+  jest.spyOn(ApiKey, "updateOne").mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("optionalAuth", () => {
+  it("continues anonymously without credentials", async () => {
+    const req = { headers: {} };
+
+    const { next } = await run(optionalAuth, req);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user).toBeUndefined();
+  });
+
+  it("attaches the user for a valid token and active session", async () => {
+    const req = bearer(validToken());
+
+    const { next } = await run(optionalAuth, req);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user).toBe(owner);
+    expect(req.sessionId).toBe(sessionId.toString());
+  });
+
+  it("treats invalid tokens as anonymous instead of failing", async () => {
+    const req = bearer("garbage");
+
+    const { res, next } = await run(optionalAuth, req);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(res.status).not.toHaveBeenCalled();
+    expect(req.user).toBeUndefined();
+  });
+
+  it("ignores tokens from revoked sessions", async () => {
+    Session.findOne.mockResolvedValue(null);
+    const req = bearer(validToken());
+
+    await run(optionalAuth, req);
+
+    expect(req.user).toBeUndefined();
+  });
+
+  it("ignores deactivated users", async () => {
+    User.findById.mockReturnValue({
+      select: async () => ({ isActive: false }),
+    });
+    const req = bearer(validToken());
+
+    await run(optionalAuth, req);
+
+    expect(req.user).toBeUndefined();
+  });
+
+  it("only counts API keys with the posts:read scope", async () => {
+    const findOne = jest
+      .spyOn(ApiKey, "findOne")
+      .mockResolvedValue({ user: owner._id, scopes: ["comments:write"] });
+    const writeOnly = { headers: { "x-api-key": "bk_key" }, ip: "ip" };
+
+    await run(optionalAuth, writeOnly);
+    expect(writeOnly.user).toBeUndefined();
+
+    findOne.mockResolvedValue({ user: owner._id, scopes: ["posts:read"] });
+    const reader = { headers: { "x-api-key": "bk_key" }, ip: "ip" };
+
+    await run(optionalAuth, reader);
+    expect(reader.user).toBe(owner);
+    expect(reader.apiKey.scopes).toEqual(["posts:read"]);
+  });
+});
+
+describe("draft visibility", () => {
+  const draft = new Post({
+    title: "Draft",
+    content: "Body",
+    author: owner._id,
+    status: "draft",
+  });
+
+  it("hides drafts from anonymous readers and other users", () => {
+    expect(draft.isVisibleTo(undefined)).toBe(false);
+    expect(
+      draft.isVisibleTo({ id: new mongoose.Types.ObjectId().toString() })
+    ).toBe(false);
+  });
+
+  it("shows drafts to their author and to editors", () => {
+    expect(draft.isVisibleTo({ id: owner.id, role: "user" })).toBe(true);
+    expect(
+      draft.isVisibleTo({
+        id: new mongoose.Types.ObjectId().toString(),
+        role: "editor",
+      })
+    ).toBe(true);
+  });
+});
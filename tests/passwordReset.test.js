@@ -0,0 +1,101 @@
+const crypto = require("crypto");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const { sendEmail } = require("../utils/mailer");
+const {
+  forgotPassword,
+  resetPassword,
+} = require("../controllers/authController");
+const { run } = require("./helpers");
+
+jest.mock("../utils/mailer");
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+const makeUser = () =>
+  new User({ name: "Ada", email: "ada@example.com", password: "secret123" });
+
+beforeEach(() => {
+  jest.spyOn(User.prototype, "save").mockResolvedValue();
+  jest.spyOn(Session, "find").mockReturnValue({ select: async () => [] });
+  sendEmail.mockResolvedValue();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  sendEmail.mockReset();
+});
+
+describe("forgotPassword", () => {
+  it("answers the same way when no account exists", async () => {
+    jest.spyOn(User, "findOne").mockResolvedValue(null);
+
+    const { res } = await run(forgotPassword, {
+      body: { email: "nobody@example.com" },
+    });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.body.success).toBe(true);
+    expect(sendEmail).not.toHaveBeenCalled();
+  });
+
+  it("emails a token and only stores its hash", async () => {
+    const user = makeUser();
+    jest.spyOn(User, "findOne").mockResolvedValue(user);
+
+    await run(forgotPassword, { body: { email: user.email } });
+
+    const token = sendEmail.mock.calls[0][0].text.match(/token=([a-f0-9]+)/)[1];
+    expect(user.passwordResetToken).toBe(sha256(token));
+    expect(user.passwordResetToken).not.toBe(token);
+    expect(user.passwordResetExpire.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  it("drops the token when the email can't be sent", async () => {
+    const user = makeUser();
+    jest.spyOn(User, "findOne").mockResolvedValue(user);
+    sendEmail.mockRejectedValue(new Error("SMTP down"));
+
+    const { error } = await run(forgotPassword, {
+      body: { email: user.email },
+    });
+
+    expect(error.statusCode).toBe(500);
+    expect(user.passwordResetToken).toBeUndefined();
+  });
+});
+
+describe("resetPassword", () => {
+  it("looks the user up by the token hash and consumes the token", async () => {
+    const user = makeUser();
+    user.passwordResetToken = sha256("raw-token");
+    const findOne = jest.spyOn(User, "findOne").mockResolvedValue(user);
+
+    const { res } = await run(resetPassword, {
+      body: { token: "raw-token", password: "new-password" },
+    });
+
+    expect(findOne.mock.calls[0][0].passwordResetToken).toBe(
+      sha256("raw-token")
+    );
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(user.password).toBe("new-password");
+    expect(user.passwordResetToken).toBeUndefined();
+    // Signed out everywhere
+    expect(Session.find).toHaveBeenCalledWith({
+      user: user._id,
+      revokedAt: null,
+    });
+  });
+
+  it("rejects an unknown or expired token", async () => {
+    jest.spyOn(User, "findOne").mockResolvedValue(null);
+
+    const { error } = await run(resetPassword, {
+      body: { token: "wrong", password: "new-password" },
+    });
+
+    expect(error.statusCode).toBe(400);
+  });
+});
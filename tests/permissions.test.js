@@ -0,0 +1,170 @@
+const mongoose = require("mongoose");
+const {
+  roleHasPermission,
+  hasPermission,
+  can,
+  checkCommentBan,
+} = require("../config/permissions");
+const { admin, authorize } = require("../middlewares/authMiddleware");
+const { mockResponse } = require("./helpers");
+
+const makeUser = (role, extra = {}) => {
+  const _id = new mongoose.Types.ObjectId();
+  return { _id, id: _id.toString(), role, ...extra };
+};
+
+afterEach(() => {
+  delete process.env.REQUIRE_ADMIN_2FA;
+});
+
+describe("role permissions", () => {
+  it("lets plain users write their own posts", () => {
+    expect(roleHasPermission("user", "posts:create")).toBe(true);
+    expect(roleHasPermission("user", "posts:update:own")).toBe(true);
+    expect(roleHasPermission("user", "posts:update:any")).toBe(false);
+  });
+
+  it("gives editors and moderators only their own extras", () => {
+    expect(roleHasPermission("editor", "posts:update:any")).toBe(true);
+    expect(roleHasPermission("editor", "comments:moderate")).toBe(false);
+    expect(roleHasPermission("moderator", "comments:moderate")).toBe(true);
+    expect(roleHasPermission("moderator", "posts:update:any")).toBe(false);
+  });
+
+  it("gives admins everything and unknown roles nothing", () => {
+    expect(roleHasPermission("admin", "users:suspend")).toBe(true);
+    expect(roleHasPermission("guest", "comments:create")).toBe(false);
+  });
+});
+
+describe("can", () => {
+  it("allows :own actions only on the user's own resources", () => {
+    const author = makeUser("author");
+
+    expect(can(author, "posts:update", author._id)).toBe(true);
+    expect(can(author, "posts:update", new mongoose.Types.ObjectId())).toBe(
+      false
+    );
+  });
+
+  it("allows :any actions on everyone's resources", () => {
+    const editor = makeUser("editor");
+
+    expect(can(editor, "posts:update", new mongoose.Types.ObjectId())).toBe(
+      true
+    );
+    expect(can(null, "posts:update", editor._id)).toBe(false);
+  });
+});
+
+describe("required admin two-factor authentication", () => {
+  it("limits admins without two-factor to a reader's rights", () => {
+    process.env.REQUIRE_ADMIN_2FA = "true";
+    const pending = makeUser("admin", { twoFactorEnabled: false });
+
+    expect(hasPermission(pending, "comments:create")).toBe(true);
+    expect(hasPermission(pending, "posts:create")).toBe(false);
+    expect(hasPermission(pending, "users:suspend")).toBe(false);
+  });
+
+  it("keeps full rights once two-factor is on or not required", () => {
+    const pending = makeUser("admin", { twoFactorEnabled: false });
+    expect(hasPermission(pending, "users:suspend")).toBe(true);
+
+    process.env.REQUIRE_ADMIN_2FA = "true";
+    const enrolled = makeUser("admin", { twoFactorEnabled: true });
+    expect(hasPermission(enrolled, "users:suspend")).toBe(true);
+  });
+});
+
+describe("checkCommentBan", () => {
+  it("refuses to ban yourself", () => {
+    const moderator = makeUser("moderator");
+
+    expect(checkCommentBan(moderator, moderator)).toMatchObject({
+      statusCode: 400,
+    });
+  });
+
+  it("only lets admins ban other moderators", () => {
+    const target = makeUser("moderator");
+
+    expect(checkCommentBan(makeUser("moderator"), target)).toMatchObject({
+      statusCode: 403,
+    });
+    expect(checkCommentBan(makeUser("admin"), target)).toBeNull();
+  });
+
+  it("lets moderators ban regular users", () => {
+    expect(
+      checkCommentBan(makeUser("moderator"), makeUser("author"))
+    ).toBeNull();
+  });
+});
+
+describe("authorize", () => {
+  it("requires every listed permission", () => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    authorize("posts:create", "posts:review")(
+      { user: makeUser("author") },
+      res,
+      next
+    );
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it("passes when the role grants them", () => {
+    const next = jest.fn();
+
+    authorize("posts:create", "posts:review")(
+      { user: makeUser("editor") },
+      mockResponse(),
+      next
+    );
+
+    expect(next).toHaveBeenCalled();
+  });
+
+  it("answers 401 without a user", () => {
+    const res = mockResponse();
+
+    authorize("posts:create")({}, res, jest.fn());
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
+
+describe("admin", () => {
+  it("refuses non-admins", () => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    admin({ user: makeUser("editor") }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it("refuses admins still missing required two-factor", () => {
+    process.env.REQUIRE_ADMIN_2FA = "true";
+    const res = mockResponse();
+    const next = jest.fn();
+
+    admin({ user: makeUser("admin") }, res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+  });
+
+  it("lets admins through", () => {
+    const next = jest.fn();
+
+    admin({ user: makeUser("admin") }, mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+  });
+});
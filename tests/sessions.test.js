@@ -0,0 +1,216 @@
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const RefreshToken = require("../models/RefreshToken");
+const { getActiveSession } = require("../utils/authTokens");
+const { protect } = require("../middlewares/authMiddleware");
+const {
+  revokeSessionById,
+  revokeOtherSessions,
+} = require("../controllers/sessionController");
+const { changePassword } = require("../controllers/authController");
+const { run } = require("./helpers");
+
+jest.mock("../utils/mailer");
+
+process.env.JWT_SECRET = "test-secret";
+
+const user = new User({
+  name: "Ada",
+  email: "ada@example.com",
+  password: "secret123",
+});
+const sessionId = new mongoose.Types.ObjectId();
+const otherSessionId = new mongoose.Types.ObjectId();
+
+const bearer = (sid) => ({
+  headers: {
+    authorization: `Bearer ${jwt.sign({ id: user.id, sid }, "test-secret")}`,
+  },
+  ip: "1.2.3.4",
+});
+
+beforeEach(() => {
+  jest.spyOn(Session, "updateOne").mockResolvedValue({});
+  jest.spyOn(Session, "updateMany").mockResolvedValue({});
+  jest.spyOn(RefreshToken, "updateMany").mockResolvedValue({});
+  jest
+    .spyOn(Session, "find")
+    .mockReturnValue({ select: async () => [{ _id: otherSessionId }] });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe("getActiveSession", () => {
+  it("ignores tokens without a valid session id", async () => {
+    const findOne = jest.spyOn(Session, "findOne");
+
+    expect(await getActiveSession(undefined, "ip")).toBeNull();
+    expect(await getActiveSession("not-an-id", "ip")).toBeNull();
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  it("only finds sessions that are neither revoked nor expired", async () => {
+    const findOne = jest.spyOn(Session, "findOne").mockResolvedValue(null);
+
+    expect(await getActiveSession(sessionId.toString(), "ip")).toBeNull();
+    expect(findOne).toHaveBeenCalledWith({
+      _id: sessionId.toString(),
+      revokedAt: null,
+      expiresAt: { $gt: expect.any(Date) },
+    });
+  });
+
+  it("records when and where a stale session was last seen", async () => {
+    jest.spyOn(Session, "findOne").mockResolvedValue({
+      _id: sessionId,
+      lastSeenAt: new Date(Date.now() - 60 * 60 * 1000),
+    });
+
+    await getActiveSession(sessionId.toString(), "5.6.7.8");
+
+    expect(Session.updateOne).toHaveBeenCalledWith(
+      { _id: sessionId },
+      expect.objectContaining({ lastSeenIp: "5.6.7.8" })
+    );
+  });
+});
+
+describe("protect with a session token", () => {
+  it("rejects tokens from revoked sessions", async () => {
+    jest.spyOn(Session, "findOne").mockResolvedValue(null);
+
+    const { res, next } = await run(protect, bearer(sessionId.toString()));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.body.message).toBe("Not authorized, session revoked");
+  });
+
+  it("rejects a session belonging to another user", async () => {
+    jest.spyOn(Session, "findOne").mockResolvedValue({
+      _id: sessionId,
+      user: new mongoose.Types.ObjectId(),
+      lastSeenAt: new Date(),
+    });
+
+    const { res } = await run(protect, bearer(sessionId.toString()));
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it("attaches the user and session for an active session", async () => {
+    jest.spyOn(Session, "findOne").mockResolvedValue({
+      _id: sessionId,
+      user: user._id,
+      lastSeenAt: new Date(),
+    });
+    jest.spyOn(User, "findById").mockReturnValue({ select: async () => user });
+    const req = bearer(sessionId.toString());
+
+    const { next } = await run(protect, req);
+
+    expect(next).toHaveBeenCalledWith();
+    expect(req.user).toBe(user);
+    expect(req.sessionId).toBe(sessionId.toString());
+  });
+});
+
+describe("session endpoints", () => {
+  it("only signs out the user's own sessions", async () => {
+    const findOne = jest.spyOn(Session, "findOne").mockResolvedValue(null);
+
+    const { error } = await run(revokeSessionById, {
+      params: { id: otherSessionId.toString() },
+      user: { id: user.id },
+    });
+
+    expect(findOne).toHaveBeenCalledWith(
+      expect.objectContaining({ user: user.id })
+    );
+    expect(error).toMatchObject({ statusCode: 404 });
+  });
+
+  it("signs out a session and its refresh tokens", async () => {
+    jest.spyOn(Session, "findOne").mockResolvedValue({ _id: otherSessionId });
+
+    const { res } = await run(revokeSessionById, {
+      params: { id: otherSessionId.toString() },
+      user: { id: user.id },
+    });
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+      { session: { $in: [otherSessionId] }, revokedAt: null },
+      expect.objectContaining({ revokedReason: "logout" })
+    );
+  });
+
+  it("keeps the current session when signing out everywhere else", async () => {
+    const { res } = await run(revokeOtherSessions, {
+      user: { id: user.id },
+      sessionId: sessionId.toString(),
+    });
+
+    expect(Session.find).toHaveBeenCalledWith({
+      user: user.id,
+      _id: { $ne: sessionId.toString() },
+      revokedAt: null,
+    });
+    expect(res.body.data.revokedSessions).toBe(1);
+  });
+});
+
+describe("changePassword", () => {
+  const account = () => {
+    const current = new User({
+      name: "Ada",
+      email: "ada@example.com",
+      password: "secret123",
+    });
+    current.matchPassword = jest.fn().mockResolvedValue(true);
+    current.save = jest.fn().mockResolvedValue(current);
+    jest
+      .spyOn(User, "findById")
+      .mockReturnValue({ select: async () => current });
+    return current;
+  };
+
+  const request = (body) => ({
+    body: { currentPassword: "secret123", newPassword: "newsecret", ...body },
+    user: { id: user.id },
+    sessionId: sessionId.toString(),
+  });
+
+  it("keeps other sessions by default", async () => {
+    account();
+
+    const { res } = await run(changePassword, request({}));
+
+    expect(res.body.data.revokedSessions).toBe(0);
+    expect(Session.updateMany).not.toHaveBeenCalled();
+  });
+
+  it("signs out every other session when asked", async () => {
+    const current = account();
+
+    const { res } = await run(
+      changePassword,
+      request({ revokeOtherSessions: true })
+    );
+
+    expect(Session.find).toHaveBeenCalledWith({
+      user: current._id,
+      _id: { $ne: sessionId.toString() },
+      revokedAt: null,
+    });
+    expect(Session.updateMany).toHaveBeenCalledWith(
+      { _id: { $in: [otherSessionId] } },
+      expect.objectContaining({ revokedReason: "password_change" })
+    );
+    expect(res.body.data.revokedSessions).toBe(1);
+  });
+});
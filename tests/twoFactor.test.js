@@ -0,0 +1,164 @@
+const mongoose = require("mongoose");
+const User = require("../models/User");
+const Session = require("../models/Session");
+const RefreshToken = require("../models/RefreshToken");
+const LoginAttempt = require("../models/LoginAttempt");
+const { generateCode, verifyCode, generateSecret } = require("../utils/totp");
+const { generateChallengeToken, hashToken } = require("../utils/authTokens");
+const {
+  enableTwoFactor,
+  verifyTwoFactorLogin,
+} = require("../controllers/twoFactorController");
+const { login } = require("../controllers/authController");
+const { run } = require("./helpers");
+
+process.env.JWT_SECRET = "test-secret";
+
+// "12345678901234567890" in base32, the RFC 6238 SHA-1 test secret
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+const request = (body) => ({ body, ip: "1.2.3.4", get: () => "jest" });
+
+describe("totp", () => {
+  it.each([
+    [59, "287082"],
+    [1111111109, "081804"],
+    [1234567890, "005924"],
+    [2000000000, "279037"],
+  ])("matches the RFC 6238 vector at %i seconds", (seconds, code) => {
+    expect(generateCode(RFC_SECRET, Math.floor(seconds / 30))).toBe(code);
+  });
+
+  it("accepts codes one step either side of now and returns their step", () => {
+    const secret = generateSecret();
+    const now = Math.floor(Date.now() / 1000 / 30);
+
+    expect(verifyCode(secret, generateCode(secret, now))).toBe(now);
+    expect(verifyCode(secret, generateCode(secret, now - 1))).toBe(now - 1);
+    expect(verifyCode(secret, generateCode(secret, now - 3))).toBeNull();
+    expect(verifyCode(secret, "abc")).toBeNull();
+  });
+});
+
+describe("two-factor login", () => {
+  let user;
+
+  beforeEach(() => {
+    user = new User({
+      name: "Ada",
+      email: "ada@example.com",
+      password: "secret123",
+      twoFactorEnabled: true,
+      twoFactorSecret: generateSecret(),
+      twoFactorRecoveryCodes: [hashToken("abcde12345")],
+    });
+
+    jest.spyOn(User.prototype, "save").mockResolvedValue();
+    jest.spyOn(User, "findById").mockReturnValue({ select: async () => user });
+    jest
+      .spyOn(User, "findByIdAndUpdate")
+      .mockReturnValue({ select: async () => ({ failedLoginAttempts: 1 }) });
+    jest.spyOn(User, "updateOne").mockResolvedValue({});
+    jest.spyOn(LoginAttempt, "exists").mockResolvedValue(null);
+    jest.spyOn(LoginAttempt, "create").mockResolvedValue({});
+    jest.spyOn(Session, "create").mockImplementation(async (data) => ({
+      _id: new mongoose.Types.ObjectId(),
+      ...data,
+    }));
+    jest.spyOn(RefreshToken, "create").mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("hands out a challenge instead of tokens after the password", async () => {
+    jest.spyOn(User, "findOne").mockReturnValue({ select: async () => user });
+    jest.spyOn(user, "matchPassword").mockResolvedValue(true);
+
+    const { res } = await run(
+      login,
+      request({ email: user.email, password: "secret123" })
+    );
+
+    expect(res.body.data.twoFactorRequired).toBe(true);
+    expect(res.body.data.token).toBeUndefined();
+    expect(res.body.data.challengeToken).toBeDefined();
+  });
+
+  it("signs in with a valid code and refuses the same code again", async () => {
+    const code = generateCode(user.twoFactorSecret);
+    const body = { challengeToken: generateChallengeToken(user._id), code };
+
+    const first = await run(verifyTwoFactorLogin, request(body));
+    expect(first.res.status).toHaveBeenCalledWith(200);
+    expect(first.res.body.data.token).toBeDefined();
+
+    const second = await run(verifyTwoFactorLogin, request(body));
+    expect(second.error.statusCode).toBe(401);
+    expect(LoginAttempt.create).toHaveBeenLastCalledWith(
+      expect.objectContaining({ outcome: "invalid_2fa" })
+    );
+  });
+
+  it("consumes a recovery code once", async () => {
+    const body = {
+      challengeToken: generateChallengeToken(user._id),
+      recoveryCode: "ABCDE-12345",
+    };
+
+    const first = await run(verifyTwoFactorLogin, request(body));
+    expect(first.res.body.data.recoveryCodesRemaining).toBe(0);
+
+    const second = await run(verifyTwoFactorLogin, request(body));
+    expect(second.error.statusCode).toBe(401);
+  });
+
+  it("rejects a forged challenge token", async () => {
+    const body = {
+      challengeToken: "not-a-token",
+      code: generateCode(user.twoFactorSecret),
+    };
+
+    const { error } = await run(verifyTwoFactorLogin, request(body));
+
+    expect(error.statusCode).toBe(401);
+  });
+});
+
+describe("enableTwoFactor", () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("needs a valid code and returns recovery codes", async () => {
+    const user = new User({
+      name: "Ada",
+      email: "ada@example.com",
+      password: "secret123",
+      twoFactorSecret: generateSecret(),
+    });
+    jest.spyOn(User.prototype, "save").mockResolvedValue();
+    jest.spyOn(User, "findById").mockReturnValue({ select: async () => user });
+
+    const valid = generateCode(user.twoFactorSecret);
+    const wrong = await run(enableTwoFactor, {
+      user: { id: user.id },
+      body: { code: valid === "000000" ? "111111" : "000000" },
+    });
+    expect(wrong.error.statusCode).toBe(400);
+    expect(user.twoFactorEnabled).toBe(false);
+
+    const { res } = await run(enableTwoFactor, {
+      user: { id: user.id },
+      body: { code: valid },
+    });
+    expect(user.twoFactorEnabled).toBe(true);
+    expect(res.body.data.recoveryCodes).toHaveLength(10);
+    expect(user.twoFactorRecoveryCodes).toEqual(
+      res.body.data.recoveryCodes.map((code) =>
+        hashToken(code.replace("-", ""))
+      )
+    );
+  });
+});
@@ -0,0 +1,232 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const RefreshToken = require("../models/RefreshToken");
+const Session = require("../models/Session");
+const generateToken = require("./generateToken");
+const { ErrorResponse } = require("../middlewares/errorHandler");
+
+// Only write last-seen details once per minute per session
+const SESSION_TOUCH_INTERVAL = 60 * 1000;
+
+const refreshTokenExpiry = () =>
+  new Date(
+    Date.now() +
+      (parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30) *
+        24 *
+        60 *
+        60 *
+        1000
+  );
+
+// Hash a raw token for storage/lookup
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Create a refresh token for a session
+const createRefreshToken = async (userId, sessionId, ip, expiresAt) => {
+  const token = crypto.randomBytes(40).toString("hex");
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    session: sessionId,
+    expiresAt,
+    createdByIp: ip,
+  });
+
+  return token;
+};
+
+// Start a session and issue its first access/refresh token pair
+const issueAuthTokens = async (userId, req) => {
+  const expiresAt = refreshTokenExpiry();
+
+  const session = await Session.create({
+    user: userId,
+    userAgent: req.get("user-agent"),
+    ip: req.ip,
+    lastSeenIp: req.ip,
+    expiresAt,
+  });
+
+  const refreshToken = await createRefreshToken(
+    userId,
+    session._id,
+    req.ip,
+    expiresAt
+  );
+
+  return {
+    token: generateToken(userId, session._id),
+    refreshToken,
+  };
+};
+
+// Short-lived token proving the password step of a two-step login
+const generateChallengeToken = (userId) =>
+  jwt.sign({ id: userId, purpose: "2fa" }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || "5m",
+  });
+
+// Return the user id from a challenge token, or throw
+const verifyChallengeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== "2fa") throw new Error("Wrong token purpose");
+    return decoded.id;
+  } catch (error) {
+    throw new ErrorResponse("Invalid or expired challenge token", 401);
+  }
+};
+
+// Signed token for a draft preview link; the link record decides
+// whether it has been revoked
+const generatePreviewToken = (link) =>
+  jwt.sign(
+    { pid: link._id, post: link.post, purpose: "preview" },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.ceil((link.expiresAt - Date.now()) / 1000) }
+  );
+
+// Return the preview link id from a preview token, or throw
+const verifyPreviewToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.purpose !== "preview") throw new Error("Wrong token purpose");
+    return decoded.pid;
+  } catch (error) {
+    throw new ErrorResponse("Invalid or expired preview link", 404);
+  }
+};
+
+// Revoke sessions matching a filter along with their refresh tokens
+const revokeSessions = async (filter, reason) => {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select(
+    "_id"
+  );
+  const ids = sessions.map((session) => session._id);
+  if (ids.length === 0) return 0;
+
+  const revoked = { revokedAt: new Date(), revokedReason: reason };
+  await Session.updateMany({ _id: { $in: ids } }, revoked);
+  await RefreshToken.updateMany(
+    { session: { $in: ids }, revokedAt: null },
+    revoked
+  );
+
+  return ids.length;
+};
+
+// Revoke one session
+const revokeSession = (sessionId, reason = "revoked") =>
+  revokeSessions({ _id: sessionId }, reason);
+
+// Revoke every session belonging to a user, optionally keeping one
+const revokeUserTokens = (userId, { except, reason = "revoked" } = {}) =>
+  revokeSessions(
+    { user: userId, ...(except && { _id: { $ne: except } }) },
+    reason
+  );
+
+// Exchange a refresh token for a new pair. Presenting a token that was
+// already rotated means it leaked, so the whole session is revoked.
+const rotateRefreshToken = async (token, ip) => {
+  const tokenHash = hashToken(token);
+
+  // Claim the token in one write, so parallel requests with the same
+  // token can't both rotate it
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date(), revokedReason: "rotated" }
+  );
+
+  if (!stored) {
+    const existing = await RefreshToken.findOne({ tokenHash });
+
+    if (!existing) {
+      throw new ErrorResponse("Invalid refresh token", 401);
+    }
+
+    if (existing.revokedAt) {
+      if (existing.revokedReason === "rotated") {
+        await revokeSession(existing.session, "reuse");
+      }
+      throw new ErrorResponse("Refresh token has been revoked", 401);
+    }
+
+    throw new ErrorResponse("Refresh token expired", 401);
+  }
+
+  const expiresAt = refreshTokenExpiry();
+  const refreshToken = await createRefreshToken(
+    stored.user,
+    stored.session,
+    ip,
+    expiresAt
+  );
+
+  await RefreshToken.updateOne(
+    { _id: stored._id },
+    { replacedBy: hashToken(refreshToken) }
+  );
+
+  await Session.updateOne(
+    { _id: stored.session },
+    { expiresAt, lastSeenAt: new Date(), lastSeenIp: ip }
+  );
+
+  return {
+    userId: stored.user,
+    token: generateToken(stored.user, stored.session),
+    refreshToken,
+  };
+};
+
+// Revoke the session a refresh token belongs to (logout)
+const revokeRefreshToken = async (token) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+
+  if (!stored) {
+    throw new ErrorResponse("Invalid refresh token", 401);
+  }
+
+  await revokeSession(stored.session, "logout");
+};
+
+// Return the session if it is still live, recording activity on it
+const getActiveSession = async (sessionId, ip) => {
+  if (!sessionId || !mongoose.isValidObjectId(sessionId)) return null;
+
+  const session = await Session.findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (
+    session &&
+    Date.now() - session.lastSeenAt.getTime() > SESSION_TOUCH_INTERVAL
+  ) {
+    await Session.updateOne(
+      { _id: session._id },
+      { lastSeenAt: new Date(), lastSeenIp: ip }
+    );
+  }
+
+  return session;
+};
+
+module.exports = {
+  hashToken,
+  issueAuthTokens,
+  generateChallengeToken,
+  verifyChallengeToken,
+  generatePreviewToken,
+  verifyPreviewToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeSession,
+  revokeUserTokens,
+  getActiveSession,
+};
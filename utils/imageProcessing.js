@@ -0,0 +1,91 @@
+const sharp = require("sharp");
+const { ErrorResponse } = require("../middlewares/errorHandler");
+
+// Formats accepted for upload, keyed by what sharp detects in the file
+const IMAGE_FORMATS = {
+  jpeg: { ext: "jpg", contentType: "image/jpeg" },
+  png: { ext: "png", contentType: "image/png" },
+  webp: { ext: "webp", contentType: "image/webp" },
+  gif: { ext: "gif", contentType: "image/gif" },
+};
+
+// Resized copies made for every upload, all as WebP
+const VARIANTS = [
+  { name: "thumbnail", width: 150, height: 150, fit: "cover" },
+  { name: "medium", width: 800 },
+  { name: "large", width: 1600 },
+];
+
+const toFile = async (name, pipeline, ext, contentType) => {
+  const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+
+  return {
+    name,
+    ext,
+    contentType,
+    buffer: data,
+    width: info.width,
+    // Animated images report the height of all frames stacked
+    height: info.pageHeight || info.height,
+    size: info.size,
+  };
+};
+
+// Check that an upload really is a supported image and build the files
+// to store: the original with metadata (EXIF, GPS) stripped, plus one
+// file per variant
+const processImage = async (buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new ErrorResponse("File is not a valid image", 400);
+  }
+
+  const format = IMAGE_FORMATS[metadata.format];
+  if (!format) {
+    throw new ErrorResponse(
+      `Unsupported image type, use one of: ${Object.keys(IMAGE_FORMATS).join(
+        ", "
+      )}`,
+      400
+    );
+  }
+
+  const animated = metadata.format === "gif";
+  const source = () => {
+    const image = sharp(buffer, { animated });
+    // Apply the EXIF orientation before the metadata is dropped
+    return animated ? image : image.rotate();
+  };
+
+  const original = await toFile(
+    "original",
+    source().toFormat(metadata.format),
+    format.ext,
+    format.contentType
+  );
+
+  const variants = [];
+  for (const variant of VARIANTS) {
+    variants.push(
+      await toFile(
+        variant.name,
+        source()
+          .resize({
+            width: variant.width,
+            height: variant.height,
+            fit: variant.fit || "inside",
+            withoutEnlargement: true,
+          })
+          .webp(),
+        "webp",
+        "image/webp"
+      )
+    );
+  }
+
+  return { original, variants };
+};
+
+module.exports = { IMAGE_FORMATS, VARIANTS, processImage };
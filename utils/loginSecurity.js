@@ -0,0 +1,74 @@
+const User = require("../models/User");
+const LoginAttempt = require("../models/LoginAttempt");
+
+const maxAttempts = () => parseInt(process.env.MAX_LOGIN_ATTEMPTS, 10) || 5;
+const baseLockMinutes = () =>
+  parseInt(process.env.LOCKOUT_BASE_MINUTES, 10) || 15;
+const maxLockMinutes = () =>
+  parseInt(process.env.LOCKOUT_MAX_MINUTES, 10) || 24 * 60;
+
+const isLocked = (user) =>
+  Boolean(user.lockUntil && user.lockUntil > Date.now());
+
+// Store a login attempt. Successful logins from a new IP are flagged.
+const recordLoginAttempt = async (req, { user, email, outcome }) => {
+  let suspicious = false;
+
+  if (outcome === "success" && user) {
+    const [hasHistory, knownIp] = await Promise.all([
+      LoginAttempt.exists({ user: user._id, outcome: "success" }),
+      LoginAttempt.exists({ user: user._id, outcome: "success", ip: req.ip }),
+    ]);
+    suspicious = Boolean(hasHistory) && !knownIp;
+  }
+
+  return LoginAttempt.create({
+    user: user && user._id,
+    email: email || (user && user.email),
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+    outcome,
+    suspicious,
+  });
+};
+
+// Count a failed attempt; lock the account once the limit is hit.
+// Each lockout doubles in length until the next successful login.
+const registerFailedLogin = async (user) => {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select("+failedLoginAttempts +lockCount");
+
+  if (updated.failedLoginAttempts < maxAttempts()) return;
+
+  const minutes = Math.min(
+    baseLockMinutes() * 2 ** (updated.lockCount || 0),
+    maxLockMinutes()
+  );
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      lockUntil: new Date(Date.now() + minutes * 60 * 1000),
+      failedLoginAttempts: 0,
+      $inc: { lockCount: 1 },
+    }
+  );
+};
+
+// Reset counters after a successful login
+const resetFailedLogins = async (user) => {
+  await User.updateOne(
+    { _id: user._id },
+    { failedLoginAttempts: 0, lockCount: 0, $unset: { lockUntil: 1 } }
+  );
+};
+
+module.exports = {
+  isLocked,
+  recordLoginAttempt,
+  registerFailedLogin,
+  resetFailedLogins,
+};
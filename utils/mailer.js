@@ -0,0 +1,51 @@
+const fs = require("fs");
+const path = require("path");
+
+// Transports receive a message { to, subject, text, html } and deliver it.
+// Add a real one (SMTP, SES, ...) with registerTransport and select it
+// through MAIL_TRANSPORT.
+const transports = {
+  // Print the message to stdout
+  console: async (message) => {
+    console.log(
+      `[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`
+    );
+  },
+
+  // Write each message to a JSON file in MAIL_DIR
+  file: async (message) => {
+    const dir = process.env.MAIL_DIR || path.join(process.cwd(), "mail");
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const fileName = `${Date.now()}-${Math.random()
+      .toString(36)
+      .slice(2, 8)}.json`;
+    await fs.promises.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+    );
+  },
+};
+
+const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+const sendEmail = async ({ to, subject, text, html }) => {
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports[name];
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || "no-reply@blogapi.local",
+    to,
+    subject,
+    text,
+    html,
+  });
+};
+
+module.exports = { sendEmail, registerTransport };
@@ -0,0 +1,58 @@
+const fs = require("fs");
+const path = require("path");
+
+const uploadDir = () =>
+  path.resolve(process.env.UPLOAD_DIR || path.join(process.cwd(), "uploads"));
+
+// Keys look like "<owner>/<media>/<variant>.<ext>"; refuse anything that
+// would resolve outside the upload directory
+const localPath = (key) => {
+  const root = uploadDir();
+  const file = path.resolve(root, key);
+
+  if (!file.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+
+  return file;
+};
+
+// Adapters store files by key and return their public URL:
+//   save(key, buffer, contentType) -> url
+//   remove(key)
+// Add one for S3, GCS, ... with registerStorage and select it through
+// MEDIA_STORAGE.
+const adapters = {
+  // Files on disk under UPLOAD_DIR, served by the app at /uploads
+  local: {
+    save: async (key, buffer) => {
+      const file = localPath(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+
+      return `${process.env.UPLOAD_BASE_URL || "/uploads"}/${key}`;
+    },
+
+    remove: async (key) => {
+      await fs.promises.rm(localPath(key), { force: true });
+    },
+  },
+};
+
+const registerStorage = (name, adapter) => {
+  adapters[name] = adapter;
+};
+
+const storageName = () => process.env.MEDIA_STORAGE || "local";
+
+const getStorage = (name = storageName()) => {
+  const adapter = adapters[name];
+
+  if (!adapter) {
+    throw new Error(`Unknown media storage: ${name}`);
+  }
+
+  return adapter;
+};
+
+module.exports = { getStorage, registerStorage, storageName, uploadDir };
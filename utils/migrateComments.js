@@ -0,0 +1,62 @@
+const Post = require("../models/Post");
+const Comment = require("../models/Comment");
+
+// Move comments still embedded in post documents (from before comments
+// had their own collection) into the comments collection. Comments keep
+// their ids and dates, and posts get their commentCount. Safe to run on
+// every start: migrated posts no longer match.
+const migrateEmbeddedComments = async () => {
+  let migrated = 0;
+
+  try {
+    // The raw collection is used because the schema no longer has the field
+    const cursor = Post.collection.find(
+      { "comments.0": { $exists: true } },
+      { projection: { comments: 1 } }
+    );
+
+    for await (const post of cursor) {
+      const comments = post.comments
+        .filter((comment) => comment.user && comment.text)
+        .map((comment) => ({
+          _id: comment._id,
+          post: post._id,
+          user: comment.user,
+          text: comment.text,
+          createdAt: comment.createdAt,
+          updatedAt: comment.createdAt,
+        }));
+
+      // Ids already present mean an earlier run stopped half way
+      const existing = await Comment.find({
+        _id: { $in: comments.map((comment) => comment._id) },
+      }).select("_id");
+      const done = new Set(existing.map((comment) => comment._id.toString()));
+      const missing = comments.filter(
+        (comment) => !done.has(comment._id.toString())
+      );
+
+      if (missing.length > 0) {
+        await Comment.insertMany(missing, { timestamps: false });
+      }
+      await Post.collection.updateOne(
+        { _id: post._id },
+        {
+          $unset: { comments: "" },
+          $inc: { commentCount: comments.length },
+        }
+      );
+      migrated += comments.length;
+    }
+  } catch (error) {
+    console.error("Comment migration error:", error.message);
+  }
+
+  if (migrated > 0) {
+    console.log(`Moved ${migrated} embedded comments to their own collection`);
+  }
+
+  return migrated;
+};
+
+module.exports = { migrateEmbeddedComments };
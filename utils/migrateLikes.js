@@ -0,0 +1,64 @@
+const Post = require("../models/Post");
+const Reaction = require("../models/Reaction");
+
+// Turn likes still stored in post documents (from before reactions had
+// their own collection) into "like" reactions, and give the posts their
+// counters. Safe to run on every start: migrated posts no longer match.
+const migrateEmbeddedLikes = async () => {
+  let migrated = 0;
+
+  try {
+    // The raw collection is used because the schema no longer has the field
+    const cursor = Post.collection.find(
+      { likes: { $exists: true } },
+      { projection: { likes: 1 } }
+    );
+
+    for await (const post of cursor) {
+      const users = [
+        ...new Set(
+          post.likes
+            .filter((like) => like.user)
+            .map((like) => like.user.toString())
+        ),
+      ];
+
+      // Likes already present mean an earlier run stopped half way
+      const existing = await Reaction.find({
+        target: post._id,
+        type: "like",
+      }).select("user");
+      const done = new Set(existing.map((like) => like.user.toString()));
+      const missing = users
+        .filter((user) => !done.has(user))
+        .map((user) => ({
+          targetType: "Post",
+          target: post._id,
+          user,
+          type: "like",
+        }));
+
+      if (missing.length > 0) {
+        await Reaction.insertMany(missing);
+      }
+
+      // Count from the collection so reactions given since are included
+      await Reaction.recount("Post", post._id);
+      await Post.collection.updateOne(
+        { _id: post._id },
+        { $unset: { likes: "" } }
+      );
+      migrated += missing.length;
+    }
+  } catch (error) {
+    console.error("Like migration error:", error.message);
+  }
+
+  if (migrated > 0) {
+    console.log(`Moved ${migrated} embedded likes to reactions`);
+  }
+
+  return migrated;
+};
+
+module.exports = { migrateEmbeddedLikes };
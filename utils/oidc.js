@@ -0,0 +1,294 @@
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+const jwt = require("jsonwebtoken");
+const OAuthState = require("../models/OAuthState");
+const { getProviderConfig } = require("../config/oidcProviders");
+const { ErrorResponse } = require("../middlewares/errorHandler");
+
+const STATE_TTL_MINUTES = 10;
+
+// Discovery documents and key sets, cached per provider
+const metadataCache = {};
+const jwksCache = {};
+
+const base64url = (buffer) =>
+  buffer
+    .toString("base64")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+// Minimal JSON over HTTP(S) client
+const requestJson = (url, { method = "GET", headers = {}, body } = {}) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const client = target.protocol === "http:" ? http : https;
+
+    const req = client.request(
+      target,
+      {
+        method,
+        headers: {
+          Accept: "application/json",
+          ...(body && { "Content-Length": Buffer.byteLength(body) }),
+          ...headers,
+        },
+        timeout: 10000,
+      },
+      (res) => {
+        let data = "";
+        res.setEncoding("utf8");
+        res.on("data", (chunk) => (data += chunk));
+        res.on("end", () => {
+          let parsed;
+          try {
+            parsed = JSON.parse(data);
+          } catch (error) {
+            return reject(new Error(`Invalid JSON from ${target.origin}`));
+          }
+
+          if (res.statusCode >= 400) {
+            return reject(
+              new Error(
+                `Request to ${target.origin} failed with ${res.statusCode}: ${
+                  parsed.error_description || parsed.error || data
+                }`
+              )
+            );
+          }
+
+          resolve(parsed);
+        });
+      }
+    );
+
+    req.on("timeout", () => req.destroy(new Error("Request timed out")));
+    req.on("error", reject);
+    if (body) req.write(body);
+    req.end();
+  });
+
+const getProvider = (name) => {
+  const provider = getProviderConfig(name);
+
+  if (!provider || !provider.clientId || !provider.redirectUri) {
+    throw new ErrorResponse(`Unknown login provider: ${name}`, 404);
+  }
+
+  return provider;
+};
+
+// Provider endpoints, from explicit settings or the discovery document
+const getMetadata = async (provider) => {
+  if (
+    provider.authorizationEndpoint &&
+    provider.tokenEndpoint &&
+    provider.jwksUri
+  ) {
+    return {
+      issuer: provider.issuer,
+      authorization_endpoint: provider.authorizationEndpoint,
+      token_endpoint: provider.tokenEndpoint,
+      userinfo_endpoint: provider.userinfoEndpoint,
+      jwks_uri: provider.jwksUri,
+    };
+  }
+
+  if (!metadataCache[provider.name]) {
+    const issuer = provider.issuer.replace(/\/$/, "");
+    const discovered = await requestJson(
+      `${issuer}/.well-known/openid-configuration`
+    );
+
+    metadataCache[provider.name] = {
+      ...discovered,
+      ...(provider.authorizationEndpoint && {
+        authorization_endpoint: provider.authorizationEndpoint,
+      }),
+      ...(provider.tokenEndpoint && { token_endpoint: provider.tokenEndpoint }),
+      ...(provider.userinfoEndpoint && {
+        userinfo_endpoint: provider.userinfoEndpoint,
+      }),
+      ...(provider.jwksUri && { jwks_uri: provider.jwksUri }),
+    };
+  }
+
+  return metadataCache[provider.name];
+};
+
+// Public key for an ID token, refetching the key set once on a miss
+// so provider key rotation is picked up
+const getSigningKey = async (provider, metadata, kid) => {
+  const findKey = (jwks) =>
+    (jwks.keys || []).find((key) => !kid || key.kid === kid);
+
+  let key = jwksCache[provider.name] && findKey(jwksCache[provider.name]);
+
+  if (!key) {
+    jwksCache[provider.name] = await requestJson(metadata.jwks_uri);
+    key = findKey(jwksCache[provider.name]);
+  }
+
+  if (!key) {
+    throw new ErrorResponse("Unable to verify identity token", 401);
+  }
+
+  return crypto.createPublicKey({ key, format: "jwk" });
+};
+
+const verifyIdToken = async (provider, metadata, idToken, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded) {
+    throw new ErrorResponse("Invalid identity token", 401);
+  }
+
+  // HMAC-signed tokens use the client secret, others the provider keys
+  const isHmac = decoded.header.alg && decoded.header.alg.startsWith("HS");
+  const key = isHmac
+    ? provider.clientSecret
+    : await getSigningKey(provider, metadata, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: isHmac
+        ? ["HS256", "HS384", "HS512"]
+        : ["RS256", "RS384", "RS512", "PS256", "ES256", "ES384"],
+      audience: provider.clientId,
+      issuer: metadata.issuer,
+    });
+  } catch (error) {
+    throw new ErrorResponse("Invalid identity token", 401);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new ErrorResponse("Invalid identity token", 401);
+  }
+
+  return claims;
+};
+
+// Start an authorization code + PKCE request; returns the URL to send
+// the user to
+const createAuthorizationUrl = async (providerName, linkUserId) => {
+  const provider = getProvider(providerName);
+  const metadata = await getMetadata(provider);
+
+  const state = base64url(crypto.randomBytes(32));
+  const nonce = base64url(crypto.randomBytes(32));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(
+    crypto.createHash("sha256").update(codeVerifier).digest()
+  );
+
+  await OAuthState.create({
+    state,
+    provider: provider.name,
+    codeVerifier,
+    nonce,
+    linkUser: linkUserId,
+    expiresAt: new Date(Date.now() + STATE_TTL_MINUTES * 60 * 1000),
+  });
+
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: provider.redirectUri,
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  });
+
+  return `${metadata.authorization_endpoint}?${params.toString()}`;
+};
+
+// Finish the flow: check state, exchange the code and return the
+// verified identity. A linking flow only completes for the signed-in
+// user who started it, so nobody can attach their identity to someone
+// else's account by finishing a link started there.
+const completeAuthorization = async (providerName, { code, state }, user) => {
+  const provider = getProvider(providerName);
+
+  // Single use: the state is removed as it is read
+  const pending = await OAuthState.findOneAndDelete({
+    state,
+    provider: provider.name,
+    expiresAt: { $gt: new Date() },
+  });
+
+  if (!pending) {
+    throw new ErrorResponse("Invalid or expired login state", 400);
+  }
+
+  if (
+    pending.linkUser &&
+    (!user || pending.linkUser.toString() !== user.id.toString())
+  ) {
+    throw new ErrorResponse(
+      "Linking must be completed by the account that started it",
+      403
+    );
+  }
+
+  const metadata = await getMetadata(provider);
+
+  let tokens;
+  try {
+    tokens = await requestJson(metadata.token_endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        grant_type: "authorization_code",
+        code,
+        redirect_uri: provider.redirectUri,
+        client_id: provider.clientId,
+        code_verifier: pending.codeVerifier,
+        ...(provider.clientSecret && { client_secret: provider.clientSecret }),
+      }).toString(),
+    });
+  } catch (error) {
+    console.error("OIDC token exchange error:", error.message);
+    throw new ErrorResponse("Could not complete login with provider", 401);
+  }
+
+  if (!tokens.id_token) {
+    throw new ErrorResponse("Provider did not return an identity token", 401);
+  }
+
+  const claims = await verifyIdToken(
+    provider,
+    metadata,
+    tokens.id_token,
+    pending.nonce
+  );
+
+  // Some providers only put profile data in the userinfo response
+  let profile = claims;
+  if (!claims.email && metadata.userinfo_endpoint && tokens.access_token) {
+    const userinfo = await requestJson(metadata.userinfo_endpoint, {
+      headers: { Authorization: `Bearer ${tokens.access_token}` },
+    });
+
+    if (userinfo.sub === claims.sub) {
+      profile = { ...userinfo, ...claims };
+    }
+  }
+
+  return {
+    linkUserId: pending.linkUser,
+    identity: {
+      provider: provider.name,
+      subject: String(claims.sub),
+      email: profile.email && String(profile.email).toLowerCase(),
+      emailVerified:
+        profile.email_verified === true || profile.email_verified === "true",
+      name: profile.name,
+      picture: profile.picture,
+    },
+  };
+};
+
+module.exports = { createAuthorizationUrl, completeAuthorization };
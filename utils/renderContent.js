@@ -0,0 +1,136 @@
+const { marked } = require("marked");
+const sanitizeHtml = require("sanitize-html");
+
+const CONTENT_FORMATS = ["markdown", "html", "plain"];
+const EXCERPT_LENGTH = 200;
+
+// Tags and attributes allowed in rendered post HTML. Heading ids are
+// added after sanitizing, so user-supplied ids never survive.
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    ...sanitizeHtml.defaults.allowedTags,
+    "img",
+    "h1",
+    "h2",
+    "del",
+    "ins",
+    "sup",
+    "sub",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "target", "rel"],
+    img: ["src", "alt", "title", "width", "height"],
+    code: ["class"],
+    th: ["align"],
+    td: ["align"],
+    ol: ["start"],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowedSchemesByTag: { img: ["http", "https"] },
+  transformTags: {
+    a: sanitizeHtml.simpleTransform("a", { rel: "noopener noreferrer" }),
+  },
+};
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const decodeEntities = (text) =>
+  text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&amp;/g, "&");
+
+// Plain text becomes paragraphs split on blank lines
+const plainToHtml = (content) =>
+  content
+    .split(/\n\s*\n/)
+    .map((paragraph) => paragraph.trim())
+    .filter(Boolean)
+    .map(
+      (paragraph) => `<p>${escapeHtml(paragraph).replace(/\n/g, "<br />")}</p>`
+    )
+    .join("\n");
+
+const toText = (html) =>
+  decodeEntities(
+    sanitizeHtml(
+      // Keep words in separate blocks/lines apart
+      html.replace(
+        /<br\s*\/?>|<\/(p|h[1-6]|li|div|blockquote|pre|tr|td|th)>/gi,
+        " "
+      ),
+      { allowedTags: [], allowedAttributes: {} }
+    )
+  )
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Give each heading a unique id and collect the table of contents
+const addHeadingIds = (html) => {
+  const toc = [];
+  const used = {};
+
+  const withIds = html.replace(
+    /<h([1-6])>([\s\S]*?)<\/h\1>/g,
+    (match, level, inner) => {
+      const text = toText(inner);
+      const base =
+        text
+          .toLowerCase()
+          .replace(/[^\p{L}\p{N}\s-]/gu, "")
+          .trim()
+          .replace(/\s+/g, "-") || "section";
+
+      used[base] = (used[base] || 0) + 1;
+      const id = used[base] > 1 ? `${base}-${used[base] - 1}` : base;
+
+      toc.push({ level: Number(level), text, id });
+      return `<h${level} id="${id}">${inner}</h${level}>`;
+    }
+  );
+
+  return { html: withIds, toc };
+};
+
+// Render post content to sanitized HTML, a table of contents built from
+// its headings, and the plain text
+const renderContent = (content, format = "markdown") => {
+  let html;
+  switch (format) {
+    case "html":
+      html = content;
+      break;
+    case "plain":
+      html = plainToHtml(content);
+      break;
+    default:
+      html = marked.parse(content, { headerIds: false, mangle: false });
+  }
+
+  const { html: contentHtml, toc } = addHeadingIds(
+    sanitizeHtml(html, SANITIZE_OPTIONS)
+  );
+
+  return { contentHtml, toc, text: toText(contentHtml) };
+};
+
+// Excerpt from rendered text, cut on a word boundary
+const buildExcerpt = (text) => {
+  if (text.length <= EXCERPT_LENGTH) return text;
+
+  const cut = text.slice(0, EXCERPT_LENGTH);
+  const lastSpace = cut.lastIndexOf(" ");
+
+  return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).trim()}...`;
+};
+
+module.exports = { CONTENT_FORMATS, renderContent, buildExcerpt };
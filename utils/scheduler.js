@@ -0,0 +1,60 @@
+const Post = require("../models/Post");
+const PostTransition = require("../models/PostTransition");
+
+let timer = null;
+let running = false;
+
+// Publish every scheduled post that has come due. Each post is flipped
+// with a conditional update, so a post is published exactly once even
+// with several app instances polling at the same time.
+const publishDuePosts = async () => {
+  if (running) return 0;
+  running = true;
+
+  let published = 0;
+  try {
+    const due = await Post.find({
+      status: "scheduled",
+      publishAt: { $lte: new Date() },
+    })
+      .select("_id")
+      .limit(100);
+
+    for (const { _id } of due) {
+      const post = await Post.findOneAndUpdate(
+        { _id, status: "scheduled" },
+        { status: "published", publishedAt: new Date() },
+        { new: true }
+      );
+      if (post) {
+        await PostTransition.record(post, "scheduled");
+        published += 1;
+      }
+    }
+  } catch (error) {
+    console.error("Scheduled publishing error:", error.message);
+  } finally {
+    running = false;
+  }
+
+  return published;
+};
+
+// Start polling. Runs once right away so posts that came due while the
+// server was down are published on startup.
+const startScheduler = () => {
+  if (timer) return;
+
+  const seconds = parseInt(process.env.SCHEDULER_INTERVAL_SECONDS, 10) || 30;
+
+  publishDuePosts();
+  timer = setInterval(publishDuePosts, seconds * 1000);
+  timer.unref();
+};
+
+const stopScheduler = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = { publishDuePosts, startScheduler, stopScheduler };
@@ -0,0 +1,41 @@
+const { slugify } = require("transliteration");
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MAX_SLUG_LENGTH = 80;
+
+// ASCII slug from any text; other scripts are transliterated and
+// anything but letters and digits becomes a hyphen. Leaves room for a
+// "-2" style suffix.
+const toSlug = (text, fallback) =>
+  slugify(text || "", { separator: "-" })
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .slice(0, MAX_SLUG_LENGTH - 10)
+    .replace(/^-+|-+$/g, "") || fallback;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// First free slug from a base: base, base-2, base-3... Every path in
+// `fields` counts as taken (e.g. current and previous slugs).
+const findAvailableSlug = async (Model, base, excludeId, fields = ["slug"]) => {
+  const pattern = new RegExp(`^${escapeRegExp(base)}(-\\d+)?$`);
+  const docs = await Model.find({
+    _id: { $ne: excludeId },
+    $or: fields.map((field) => ({ [field]: pattern })),
+  }).select(fields.join(" "));
+
+  const used = new Set();
+  docs.forEach((doc) => {
+    fields.forEach((field) => {
+      [].concat(doc[field] || []).forEach((slug) => used.add(slug));
+    });
+  });
+
+  if (!used.has(base)) return base;
+
+  let suffix = 2;
+  while (used.has(`${base}-${suffix}`)) suffix += 1;
+  return `${base}-${suffix}`;
+};
+
+module.exports = { SLUG_PATTERN, MAX_SLUG_LENGTH, toSlug, findAvailableSlug };
@@ -0,0 +1,84 @@
+const Comment = require("../models/Comment");
+
+const DEFAULT_BLOCKLIST = [
+  "viagra",
+  "cialis",
+  "casino",
+  "payday loan",
+  "free money",
+  "work from home",
+];
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+/gi;
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Words from COMMENT_BLOCKLIST (comma separated), or the defaults
+const blocklist = () =>
+  process.env.COMMENT_BLOCKLIST
+    ? process.env.COMMENT_BLOCKLIST.split(",")
+        .map((word) => word.trim().toLowerCase())
+        .filter(Boolean)
+    : DEFAULT_BLOCKLIST;
+
+// Score a new comment with simple rules; every rule that fires adds
+// points and a reason. Returns { score, reasons, status }.
+const scoreComment = async ({ text, user }) => {
+  let score = 0;
+  const reasons = [];
+  const add = (points, reason) => {
+    score += points;
+    reasons.push(reason);
+  };
+
+  const links = (text.match(LINK_PATTERN) || []).length;
+  if (links > 0) {
+    add(links > 1 ? 3 : 1, `Contains ${links} link${links > 1 ? "s" : ""}`);
+  }
+
+  const lower = text.toLowerCase();
+  const blocked = blocklist().filter((word) => lower.includes(word));
+  if (blocked.length > 0) {
+    add(3 * blocked.length, `Blocked words: ${blocked.join(", ")}`);
+  }
+
+  const letters = text.replace(/[^a-zA-Z]/g, "");
+  if (letters.length >= 20 && letters === letters.toUpperCase()) {
+    add(1, "Written in capitals");
+  }
+
+  // Posting rate and repeats over the last few minutes
+  const since = new Date(
+    Date.now() - envInt("COMMENT_RATE_WINDOW_MINUTES", 10) * 60 * 1000
+  );
+  const recent = await Comment.find({
+    user: user._id,
+    createdAt: { $gte: since },
+  }).select("text");
+
+  if (recent.length >= envInt("COMMENT_RATE_LIMIT", 5)) {
+    add(3, `Posted ${recent.length} comments in a short time`);
+  }
+  if (recent.some((comment) => comment.text === text)) {
+    add(2, "Repeats a recent comment");
+  }
+
+  const accountHours = (Date.now() - user.createdAt) / (60 * 60 * 1000);
+  if (accountHours < envInt("COMMENT_NEW_ACCOUNT_HOURS", 24)) {
+    add(1, "New account");
+  }
+
+  let status = "approved";
+  if (score >= envInt("COMMENT_SPAM_SCORE", 5)) {
+    status = "spam";
+  } else if (score >= envInt("COMMENT_HOLD_SCORE", 3)) {
+    status = "pending";
+  }
+
+  return { score, reasons, status };
+};
+
+module.exports = { scoreComment };
@@ -0,0 +1,34 @@
+const Reaction = require("../models/Reaction");
+const Bookmark = require("../models/Bookmark");
+
+// Plain copies of posts or comments carrying the viewer's own reactions
+// as `myReactions` (empty for anonymous readers)
+const withViewerState = async (docs, user) => {
+  const reactions = await Reaction.forViewer(
+    docs.map((doc) => doc._id),
+    user
+  );
+
+  return docs.map((doc) => ({
+    ...doc.toJSON(),
+    myReactions: reactions.get(doc._id.toString()),
+  }));
+};
+
+// Same for posts, adding `isBookmarked` for signed-in readers
+const withPostViewerState = async (posts, user) => {
+  const viewed = await withViewerState(posts, user);
+  if (!user) return viewed;
+
+  const saved = await Bookmark.savedPostIds(
+    posts.map((post) => post._id),
+    user
+  );
+
+  return viewed.map((post) => ({
+    ...post,
+    isBookmarked: saved.has(post._id.toString()),
+  }));
+};
+
+module.exports = { withViewerState, withPostViewerState };